@@ -165,6 +165,63 @@ namespace DocStyleVerify.API.Controllers
             }
         }
 
+        /// <summary>
+        /// Record review decisions for mismatches of a verification result
+        /// </summary>
+        /// <param name="id">Verification result ID</param>
+        /// <param name="resolutions">One decision per mismatch</param>
+        /// <returns>The updated mismatches</returns>
+        [HttpPut("results/{id}/resolutions")]
+        [ProducesResponseType(typeof(IEnumerable<MismatchDto>), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<ActionResult<IEnumerable<MismatchDto>>> UpdateMismatchResolutions(int id, [FromBody] List<MismatchResolutionDto> resolutions)
+        {
+            if (!ModelState.IsValid)
+                return BadRequest(ModelState);
+
+            if (resolutions == null || resolutions.Count == 0)
+                return BadRequest("At least one resolution is required");
+
+            try
+            {
+                var result = await _context.VerificationResults
+                    .Include(vr => vr.Mismatches)
+                    .FirstOrDefaultAsync(vr => vr.Id == id);
+
+                if (result == null)
+                    return NotFound($"Verification result with ID {id} not found");
+
+                var mismatchesById = result.Mismatches.ToDictionary(m => m.Id);
+                var unknownIds = resolutions.Select(r => r.MismatchId).Where(mismatchId => !mismatchesById.ContainsKey(mismatchId)).ToList();
+                if (unknownIds.Any())
+                    return BadRequest($"Mismatches {string.Join(", ", unknownIds)} do not belong to verification result {id}");
+
+                // Later decisions for the same mismatch win
+                foreach (var resolution in resolutions)
+                {
+                    var mismatch = mismatchesById[resolution.MismatchId];
+                    mismatch.Resolution = resolution.Resolution;
+                    mismatch.ResolutionReason = resolution.Reason ?? string.Empty;
+                    mismatch.ResolvedBy = resolution.ResolvedBy;
+                    mismatch.ResolvedOn = resolution.Resolution == "Open" ? null : (resolution.ResolvedOn?.ToUniversalTime() ?? DateTime.UtcNow);
+                }
+
+                await _context.SaveChangesAsync();
+
+                _logger.LogInformation("Recorded {ResolutionCount} review decisions for verification result {VerificationId}",
+                    resolutions.Count, id);
+
+                var updatedIds = resolutions.Select(r => r.MismatchId).Distinct();
+                return Ok(updatedIds.Select(mismatchId => MapMismatchToDto(mismatchesById[mismatchId])));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error recording review decisions for verification result {VerificationId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
         /// <summary>
         /// Get detailed mismatch report for a verification result
         /// </summary>
@@ -372,6 +429,10 @@ namespace DocStyleVerify.API.Controllers
                 MismatchFields = mismatch.MismatchFields.Split(',', StringSplitOptions.RemoveEmptyEntries).ToList(),
                 SampleText = mismatch.SampleText,
                 Severity = mismatch.Severity,
+                Resolution = mismatch.Resolution,
+                ResolutionReason = mismatch.ResolutionReason,
+                ResolvedBy = mismatch.ResolvedBy,
+                ResolvedOn = mismatch.ResolvedOn,
                 CreatedOn = mismatch.CreatedOn
             };
         }
@@ -29,9 +29,33 @@ namespace DocStyleVerify.API.DTOs
         public List<string> MismatchFields { get; set; } = new List<string>();
         public string SampleText { get; set; } = string.Empty;
         public string Severity { get; set; } = string.Empty;
+        public string Resolution { get; set; } = "Open";
+        public string ResolutionReason { get; set; } = string.Empty;
+        public string ResolvedBy { get; set; } = string.Empty;
+        public DateTime? ResolvedOn { get; set; }
         public DateTime CreatedOn { get; set; }
     }
 
+    public class MismatchResolutionDto
+    {
+        [Required]
+        public int MismatchId { get; set; }
+
+        [Required]
+        [RegularExpression("^(Open|Accepted|Rejected|Reverted)$", ErrorMessage = "Resolution must be Open, Accepted, Rejected or Reverted")]
+        public string Resolution { get; set; } = string.Empty;
+
+        [StringLength(500)]
+        public string Reason { get; set; } = string.Empty;
+
+        [Required]
+        [StringLength(100)]
+        public string ResolvedBy { get; set; } = string.Empty;
+
+        // When the reviewer made the decision; defaults to the time the API receives it
+        public DateTime? ResolvedOn { get; set; }
+    }
+
     public class DocumentVerificationRequest
     {
         [Required]
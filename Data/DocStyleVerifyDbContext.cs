@@ -162,6 +162,9 @@ namespace DocStyleVerify.API.Data
                 entity.Property(e => e.MismatchFields).IsRequired().HasMaxLength(5000);
                 entity.Property(e => e.SampleText).HasMaxLength(5000);
                 entity.Property(e => e.Severity).IsRequired().HasMaxLength(50).HasDefaultValue("Medium");
+                entity.Property(e => e.Resolution).IsRequired().HasMaxLength(20).HasDefaultValue("Open");
+                entity.Property(e => e.ResolutionReason).HasMaxLength(500);
+                entity.Property(e => e.ResolvedBy).HasMaxLength(100);
                 entity.Property(e => e.CreatedOn).IsRequired();
                 
                 // Relationship
@@ -173,6 +176,7 @@ namespace DocStyleVerify.API.Data
                 entity.HasIndex(e => e.VerificationResultId);
                 entity.HasIndex(e => e.ContextKey);
                 entity.HasIndex(e => e.Severity);
+                entity.HasIndex(e => e.Resolution);
             });
 
             // DefaultStyle configuration
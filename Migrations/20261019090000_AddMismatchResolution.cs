@@ -0,0 +1,75 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace DocStyleVerify.API.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddMismatchResolution : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            // Review decisions reported by the Word add-in
+            migrationBuilder.AddColumn<string>(
+                name: "Resolution",
+                table: "Mismatches",
+                type: "character varying(20)",
+                maxLength: 20,
+                nullable: false,
+                defaultValue: "Open");
+
+            migrationBuilder.AddColumn<string>(
+                name: "ResolutionReason",
+                table: "Mismatches",
+                type: "character varying(500)",
+                maxLength: 500,
+                nullable: false,
+                defaultValue: "");
+
+            migrationBuilder.AddColumn<string>(
+                name: "ResolvedBy",
+                table: "Mismatches",
+                type: "character varying(100)",
+                maxLength: 100,
+                nullable: false,
+                defaultValue: "");
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "ResolvedOn",
+                table: "Mismatches",
+                type: "timestamp with time zone",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Mismatches_Resolution",
+                table: "Mismatches",
+                column: "Resolution");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropIndex(
+                name: "IX_Mismatches_Resolution",
+                table: "Mismatches");
+
+            migrationBuilder.DropColumn(
+                name: "Resolution",
+                table: "Mismatches");
+
+            migrationBuilder.DropColumn(
+                name: "ResolutionReason",
+                table: "Mismatches");
+
+            migrationBuilder.DropColumn(
+                name: "ResolvedBy",
+                table: "Mismatches");
+
+            migrationBuilder.DropColumn(
+                name: "ResolvedOn",
+                table: "Mismatches");
+        }
+    }
+}
@@ -427,6 +427,26 @@ namespace DocStyleVerify.API.Migrations
                         .HasMaxLength(5000)
                         .HasColumnType("character varying(5000)");
 
+                    b.Property<string>("Resolution")
+                        .IsRequired()
+                        .ValueGeneratedOnAdd()
+                        .HasMaxLength(20)
+                        .HasColumnType("character varying(20)")
+                        .HasDefaultValue("Open");
+
+                    b.Property<string>("ResolutionReason")
+                        .IsRequired()
+                        .HasMaxLength(500)
+                        .HasColumnType("character varying(500)");
+
+                    b.Property<string>("ResolvedBy")
+                        .IsRequired()
+                        .HasMaxLength(100)
+                        .HasColumnType("character varying(100)");
+
+                    b.Property<DateTime?>("ResolvedOn")
+                        .HasColumnType("timestamp with time zone");
+
                     b.Property<string>("SampleText")
                         .IsRequired()
                         .HasMaxLength(5000)
@@ -451,6 +471,8 @@ namespace DocStyleVerify.API.Migrations
 
                     b.HasIndex("ContextKey");
 
+                    b.HasIndex("Resolution");
+
                     b.HasIndex("Severity");
 
                     b.HasIndex("VerificationResultId");
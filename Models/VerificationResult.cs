@@ -79,6 +79,19 @@ namespace DocStyleVerify.API.Models
         [StringLength(50)]
         public string Severity { get; set; } = "Medium"; // Low, Medium, High, Critical
         
+        // Review decision
+        [Required]
+        [StringLength(20)]
+        public string Resolution { get; set; } = "Open"; // Open, Accepted, Rejected, Reverted
+        
+        [StringLength(500)]
+        public string ResolutionReason { get; set; } = string.Empty;
+        
+        [StringLength(100)]
+        public string ResolvedBy { get; set; } = string.Empty;
+        
+        public DateTime? ResolvedOn { get; set; }
+        
         // Audit fields
         [Required]
         public DateTime CreatedOn { get; set; } = DateTime.UtcNow;
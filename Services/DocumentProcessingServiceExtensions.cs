@@ -101,6 +101,8 @@ namespace DocStyleVerify.API.Services
                     return result;
                 }
 
+                mismatches = await RemoveRejectedMismatchesAsync(service, templateId, fileName, mismatches);
+
                 // Map mismatches to DTOs
                 result.Mismatches = mismatches.Select(m => new MismatchDto
                 {
@@ -932,6 +934,7 @@ namespace DocStyleVerify.API.Services
                 await context.SaveChangesAsync();
 
                 // Add mismatches
+                var mismatchEntities = new List<Mismatch>();
                 foreach (var mismatch in result.Mismatches)
                 {
                     var mismatchEntity = new Mismatch
@@ -949,13 +952,56 @@ namespace DocStyleVerify.API.Services
                     };
 
                     context.Mismatches.Add(mismatchEntity);
+                    mismatchEntities.Add(mismatchEntity);
                 }
 
                 await context.SaveChangesAsync();
                 result.Id = verificationResult.Id;
+
+                // Clients need the mismatch IDs to report review decisions back
+                for (var i = 0; i < mismatchEntities.Count; i++)
+                {
+                    result.Mismatches[i].Id = mismatchEntities[i].Id;
+                }
             }
         }
 
+        /// <summary>
+        /// Leaves out mismatches a reviewer rejected in an earlier verification of the same
+        /// document against the same template. A mismatch counts as the same when its context,
+        /// fields and actual values are unchanged.
+        /// </summary>
+        private static async Task<List<MismatchReportDto>> RemoveRejectedMismatchesAsync(
+            DocumentProcessingService service,
+            int templateId,
+            string fileName,
+            List<MismatchReportDto> mismatches)
+        {
+            var contextProperty = typeof(DocumentProcessingService)
+                .GetField("_context", System.Reflection.BindingFlags.NonPublic | System.Reflection.BindingFlags.Instance);
+
+            if (contextProperty?.GetValue(service) is not DocStyleVerifyDbContext context)
+                return mismatches;
+
+            var rejected = await context.Mismatches
+                .Where(m => m.Resolution == "Rejected" &&
+                            m.VerificationResult.TemplateId == templateId &&
+                            m.VerificationResult.DocumentName == fileName)
+                .Select(m => new { m.ContextKey, m.MismatchFields, m.Actual })
+                .ToListAsync();
+
+            if (!rejected.Any())
+                return mismatches;
+
+            var rejectedKeys = rejected
+                .Select(m => $"{m.ContextKey}|{m.MismatchFields}|{m.Actual}")
+                .ToHashSet();
+
+            return mismatches
+                .Where(m => !rejectedKeys.Contains($"{m.ContextKey}|{string.Join(",", m.MismatchedFields)}|{JsonSerializer.Serialize(m.Actual)}"))
+                .ToList();
+        }
+
         /// <summary>
         /// Enhanced matching logic that properly handles direct formatting
         /// </summary>
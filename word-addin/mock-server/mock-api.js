@@ -0,0 +1,255 @@
+// Mock of the DocStyleVerify API for developing and testing the add-in without the backend.
+// Serves the fixtures in ./fixtures with the same routes and JSON shapes as the real API.
+//
+//   npm run mock-api            (listens on http://localhost:5080)
+//   PORT=6000 npm run mock-api
+//
+// Point the task pane's "Verification API" field at the printed URL.
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+const port = parseInt(process.env.PORT || '5080', 10);
+
+const readFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+const verificationResults = readFixture('verification-results.json');
+const templates = readFixture('templates.json');
+const templateStyles = readFixture('template-styles.json');
+
+const RESOLUTIONS = ['Open', 'Accepted', 'Rejected', 'Reverted'];
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/api\/Templates$/,
+    handler: (req, res, match, query) => {
+      const page = parseInt(query.get('page') || '1', 10);
+      const pageSize = parseInt(query.get('pageSize') || '10', 10);
+      if (page < 1) return send(res, 400, 'Page must be greater than 0');
+      if (pageSize < 1 || pageSize > 100) return send(res, 400, 'Page size must be between 1 and 100');
+
+      const status = query.get('status');
+      const results = templates
+        .filter(template => !status || template.status === status)
+        .slice((page - 1) * pageSize, page * pageSize);
+
+      send(res, 200, results);
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/Templates\/(\d+)\/styles$/,
+    handler: (req, res, match, query) => {
+      if (!templates.some(template => template.id === parseInt(match[1], 10))) {
+        return send(res, 404, `Template with ID ${match[1]} not found`);
+      }
+
+      const styleType = query.get('styleType');
+      const extracted = templateStyles[match[1]] || { styles: [], defaultStyles: [], numberingDefinitions: [], extractedOn: null };
+      const styles = extracted.styles.filter(style => !styleType || style.styleType === styleType);
+      const defaultStyles = extracted.defaultStyles.filter(style => !styleType || style.type === styleType);
+
+      send(res, 200, {
+        styles: styles,
+        defaultStyles: defaultStyles,
+        numberingDefinitions: extracted.numberingDefinitions,
+        totalStyles: styles.length,
+        totalDefaultStyles: defaultStyles.length,
+        totalNumberingDefinitions: extracted.numberingDefinitions.length,
+        extractedOn: extracted.extractedOn
+      });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/Verification\/verify$/,
+    handler: (req, res) => {
+      readBody(req).then(body => {
+        const form = parseMultipartFields(body);
+        const document = form.files.Document;
+        if (!document) return send(res, 400, 'No document file provided');
+        if (!document.toLowerCase().endsWith('.docx')) return send(res, 400, 'Only .docx files are supported');
+        if (!form.fields.CreatedBy) return send(res, 400, 'The CreatedBy field is required.');
+
+        const template = templates.find(item => String(item.id) === form.fields.TemplateId);
+        if (!template) return send(res, 400, `Template with ID ${form.fields.TemplateId} not found`);
+
+        // Every verification reports the mismatches of the newest fixture result, as a new result,
+        // leaving out those rejected in earlier results for the same document and template
+        const now = new Date().toISOString();
+        const sample = verificationResults[0];
+        const rejected = new Set(verificationResults
+          .filter(item => item.templateId === template.id && item.documentName === document)
+          .flatMap(item => item.mismatches)
+          .filter(mismatch => mismatch.resolution === 'Rejected')
+          .map(getMismatchIdentity));
+        let nextMismatchId = Math.max(...verificationResults.flatMap(item => item.mismatches).map(item => item.id)) + 1;
+        const mismatches = sample.mismatches
+          .filter(mismatch => !rejected.has(getMismatchIdentity(mismatch)))
+          .map(mismatch => Object.assign({}, mismatch, {
+            id: nextMismatchId++,
+            resolution: 'Open',
+            resolutionReason: '',
+            resolvedBy: '',
+            resolvedOn: null,
+            createdOn: now
+          }));
+
+        const result = Object.assign({}, sample, {
+          id: Math.max(...verificationResults.map(item => item.id)) + 1,
+          templateId: template.id,
+          templateName: template.name,
+          documentName: document,
+          verificationDate: now,
+          createdBy: form.fields.CreatedBy,
+          createdOn: now,
+          totalMismatches: mismatches.length,
+          mismatches: mismatches
+        });
+        verificationResults.unshift(result);
+
+        console.log(`  verified ${document} against "${template.name}"` +
+          ` (strict: ${form.fields.StrictMode || 'true'}, ignored: ${form.lists.IgnoreStyleTypes.join(', ') || 'none'})`);
+        send(res, 200, result);
+      }, error => send(res, 400, error.message));
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/Verification\/results$/,
+    handler: (req, res, match, query) => {
+      const page = parseInt(query.get('page') || '1', 10);
+      const pageSize = parseInt(query.get('pageSize') || '20', 10);
+      if (page < 1) return send(res, 400, 'Page must be greater than 0');
+      if (pageSize < 1 || pageSize > 100) return send(res, 400, 'Page size must be between 1 and 100');
+
+      const templateId = query.get('templateId');
+      const status = query.get('status');
+      const results = verificationResults
+        .filter(result => !templateId || String(result.templateId) === templateId)
+        .filter(result => !status || result.status === status)
+        .sort((a, b) => new Date(b.verificationDate) - new Date(a.verificationDate))
+        .slice((page - 1) * pageSize, page * pageSize);
+
+      send(res, 200, results);
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/Verification\/results\/(\d+)$/,
+    handler: (req, res, match) => {
+      const result = verificationResults.find(item => item.id === parseInt(match[1], 10));
+      if (!result) return send(res, 404, `Verification result with ID ${match[1]} not found`);
+      send(res, 200, result);
+    }
+  },
+  {
+    method: 'PUT',
+    pattern: /^\/api\/Verification\/results\/(\d+)\/resolutions$/,
+    handler: (req, res, match) => {
+      readBody(req).then(body => {
+        const result = verificationResults.find(item => item.id === parseInt(match[1], 10));
+        if (!result) return send(res, 404, `Verification result with ID ${match[1]} not found`);
+
+        const resolutions = JSON.parse(body.toString('utf8') || '[]');
+        if (!Array.isArray(resolutions) || resolutions.length === 0) return send(res, 400, 'At least one resolution is required');
+
+        const invalid = resolutions.find(item => !RESOLUTIONS.includes(item.resolution) || !item.resolvedBy);
+        if (invalid) return send(res, 400, `Invalid resolution for mismatch ${invalid.mismatchId}`);
+
+        const unknownIds = resolutions
+          .map(item => item.mismatchId)
+          .filter(id => !result.mismatches.some(mismatch => mismatch.id === id));
+        if (unknownIds.length > 0) {
+          return send(res, 400, `Mismatches ${unknownIds.join(', ')} do not belong to verification result ${result.id}`);
+        }
+
+        resolutions.forEach(item => {
+          const mismatch = result.mismatches.find(candidate => candidate.id === item.mismatchId);
+          Object.assign(mismatch, {
+            resolution: item.resolution,
+            resolutionReason: item.reason || '',
+            resolvedBy: item.resolvedBy,
+            resolvedOn: item.resolution === 'Open' ? null : (item.resolvedOn || new Date().toISOString())
+          });
+          console.log(`  mismatch ${mismatch.id}: ${item.resolution} by ${item.resolvedBy}${item.reason ? ` (${item.reason})` : ''}`);
+        });
+
+        const updatedIds = [...new Set(resolutions.map(item => item.mismatchId))];
+        send(res, 200, updatedIds.map(id => result.mismatches.find(mismatch => mismatch.id === id)));
+      }).catch(error => send(res, 400, error.message));
+    }
+  }
+];
+
+// Same identity the API uses to recognise a rejected mismatch in a later verification
+function getMismatchIdentity(mismatch) {
+  return `${mismatch.contextKey}|${mismatch.mismatchFields.join(',')}|${JSON.stringify(mismatch.actual)}`;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Reads the text fields and file names of a multipart/form-data body; file contents are ignored
+function parseMultipartFields(body) {
+  const form = { fields: {}, files: {}, lists: { IgnoreStyleTypes: [] } };
+  const text = body.toString('latin1');
+  const partPattern = /Content-Disposition: form-data; name="([^"]+)"(?:; filename="([^"]*)")?[^]*?\r\n\r\n([^]*?)\r\n--/g;
+
+  let match;
+  while ((match = partPattern.exec(text)) !== null) {
+    const [, name, fileName, value] = match;
+    if (fileName !== undefined) {
+      form.files[name] = Buffer.from(fileName, 'latin1').toString('utf8');
+    } else if (form.lists[name]) {
+      form.lists[name].push(value);
+    } else {
+      form.fields[name] = Buffer.from(value, 'latin1').toString('utf8');
+    }
+  }
+  return form;
+}
+
+function send(res, status, body) {
+  const isText = typeof body === 'string';
+  res.writeHead(status, {
+    'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8'
+  });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://localhost:${port}`);
+  for (const route of routes) {
+    const match = url.pathname.match(route.pattern);
+    if (match && route.method === req.method) {
+      console.log(`${req.method} ${url.pathname}${url.search}`);
+      return route.handler(req, res, match, url.searchParams);
+    }
+  }
+
+  console.log(`${req.method} ${url.pathname} -> 404`);
+  send(res, 404, `No mock route for ${req.method} ${url.pathname}`);
+});
+
+server.listen(port, () => {
+  console.log(`Mock DocStyleVerify API listening on http://localhost:${port}`);
+});
@@ -0,0 +1,521 @@
+/**
+ * Paragraph Anchoring
+ * Locates suggestion targets by their text and surroundings, so edits made since
+ * the verification ran do not shift suggestions onto the wrong paragraph
+ */
+
+/* global Word */
+
+// Outcomes of locating a target. Only the first four are safe to edit.
+export const ANCHOR_STATUS = {
+    matched: "matched",         // text found at the recorded index
+    moved: "moved",             // text found elsewhere, identified by its neighbours
+    similar: "similar",         // text edited slightly, best match near the recorded index
+    indexOnly: "indexOnly",     // no sample text to compare, recorded index used as is
+    ambiguous: "ambiguous",     // several equally likely paragraphs
+    notFound: "notFound"        // nothing resembling the target
+};
+
+// Minimum similarity for an edited paragraph to still count as the target
+const SIMILARITY_THRESHOLD = 0.8;
+
+// A similar match must beat the runner-up by this much to be unambiguous
+const SIMILARITY_MARGIN = 0.1;
+
+// How far from the recorded index to look for an edited paragraph
+const SIMILARITY_WINDOW = 200;
+
+// How many paragraphs either side are compared when scoring neighbours
+const NEIGHBOUR_WINDOW = 3;
+
+// Container key for the paragraphs of the whole document body, used by the cross-section retry
+const DOCUMENT_PARAGRAPHS_KEY = "Document/Paragraphs";
+
+// Targets of this role are runs: their sample text is the run's, a part of the paragraph's text
+const DIRECT_FORMATTING_ROLE = "DirectFormatting";
+
+/**
+ * Normalize paragraph text for comparison: Word control characters, whitespace and case are ignored
+ */
+export function normalizeText(text) {
+    return (text || "")
+        .replace(/[\u0000-\u001f\u00a0]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Read the paragraph index from a formatting context, preferring its contextKey
+ */
+export function getParagraphIndex(formattingContext) {
+    const match = (formattingContext.contextKey || "").match(/(?:^|:)Paragraph:(\d+)/);
+    if (match) {
+        return parseInt(match[1], 10);
+    }
+    return typeof formattingContext.paragraphIndex === "number" ? formattingContext.paragraphIndex : -1;
+}
+
+/**
+ * Identify the document part a formatting context lives in: the body of a section, or one of
+ * its headers or footers. Header and footer targets are recognised from a parentContext such
+ * as "Header:Primary", falling back to the headerFooterType and contextKey the backend records.
+ */
+export function getDocumentPart(formattingContext) {
+    const sectionIndex = typeof formattingContext.sectionIndex === "number" && formattingContext.sectionIndex >= 0
+        ? formattingContext.sectionIndex
+        : 0;
+
+    const parentMatch = (formattingContext.parentContext || "").match(/^(Header|Footer)(?::(\w+))?/i);
+    const keyMatch = (formattingContext.contextKey || "").match(/^(Header|Footer):/i);
+    const partName = parentMatch ? parentMatch[1] : keyMatch ? keyMatch[1] : "";
+
+    if (partName === "") {
+        return { key: `Section:${sectionIndex}`, sectionIndex: sectionIndex, kind: "Body", headerFooterType: "" };
+    }
+
+    const kind = partName.toLowerCase() === "header" ? "Header" : "Footer";
+    const typeHint = (parentMatch && parentMatch[2]) || formattingContext.headerFooterType || "";
+    let headerFooterType = Word.HeaderFooterType.primary;
+    if (/first/i.test(typeHint)) {
+        headerFooterType = Word.HeaderFooterType.firstPage;
+    } else if (/even/i.test(typeHint)) {
+        headerFooterType = Word.HeaderFooterType.evenPages;
+    }
+
+    return {
+        key: `Section:${sectionIndex}:${kind}:${headerFooterType}`,
+        sectionIndex: sectionIndex,
+        kind: kind,
+        headerFooterType: headerFooterType
+    };
+}
+
+/**
+ * Identify what a formatting context's paragraph index is relative to: the document part,
+ * then a table (row, cell) or a content control within it
+ */
+export function getContainerKey(formattingContext) {
+    const partKey = getDocumentPart(formattingContext).key;
+
+    if (formattingContext.contentControlTag) {
+        return `${partKey}/ContentControl:${formattingContext.contentControlTag}`;
+    }
+
+    if (typeof formattingContext.tableIndex === "number" && formattingContext.tableIndex >= 0) {
+        let key = `${partKey}/Table:${formattingContext.tableIndex}`;
+        if (formattingContext.rowIndex >= 0) {
+            key += `:Row:${formattingContext.rowIndex}`;
+            if (formattingContext.cellIndex >= 0) {
+                key += `:Cell:${formattingContext.cellIndex}`;
+            }
+        }
+        return key;
+    }
+
+    return `${partKey}/Paragraphs`;
+}
+
+/**
+ * Build the layout the verification saw: for each container, recorded paragraph index to
+ * sample text, taken from every target in the loaded suggestions. Used to score neighbours.
+ */
+export function buildReferenceLayout(suggestionList) {
+    const layout = new Map();
+
+    (suggestionList || []).forEach(suggestion => {
+        (suggestion.json_object || []).forEach(obj => {
+            const context = obj.formattingContext || {};
+            const index = getParagraphIndex(context);
+            const text = normalizeText(context.sampleText);
+            if (index >= 0 && text !== "" && context.structuralRole !== DIRECT_FORMATTING_ROLE) {
+                const containerKey = getContainerKey(context);
+                if (!layout.has(containerKey)) {
+                    layout.set(containerKey, new Map());
+                }
+                layout.get(containerKey).set(index, text);
+            }
+        });
+    });
+
+    return layout;
+}
+
+/**
+ * Locate the paragraph a formatting context points at.
+ * Returns { index, status, message }; index is -1 unless the status is usable.
+ */
+export function locateParagraph(formattingContext, paragraphTexts, referenceLayout = new Map()) {
+    const recordedIndex = getParagraphIndex(formattingContext);
+    const sampleText = normalizeText(formattingContext.sampleText);
+    const texts = paragraphTexts.map(normalizeText);
+
+    if (sampleText === "") {
+        if (recordedIndex >= 0 && recordedIndex < texts.length) {
+            return anchor(recordedIndex, ANCHOR_STATUS.indexOnly, "No sample text to verify against, using the recorded paragraph index");
+        }
+        return anchor(-1, ANCHOR_STATUS.notFound, `Paragraph ${recordedIndex + 1} is out of range and there is no sample text to search for`);
+    }
+
+    if (formattingContext.structuralRole === DIRECT_FORMATTING_ROLE) {
+        return locateRunSample(formattingContext, recordedIndex, sampleText, texts);
+    }
+
+    if (texts[recordedIndex] === sampleText) {
+        return anchor(recordedIndex, ANCHOR_STATUS.matched, "");
+    }
+
+    // The text may have moved: look for exact copies and let the neighbours decide
+    const exactMatches = [];
+    texts.forEach((text, index) => {
+        if (text === sampleText) exactMatches.push(index);
+    });
+
+    if (exactMatches.length === 1) {
+        return anchor(exactMatches[0], ANCHOR_STATUS.moved,
+            `Target moved from paragraph ${recordedIndex + 1} to ${exactMatches[0] + 1}`);
+    }
+
+    if (exactMatches.length > 1) {
+        const best = pickBest(exactMatches.map(index => ({
+            index: index,
+            score: scoreNeighbours(index, recordedIndex, texts, referenceLayout)
+        })), 1);
+
+        if (best) {
+            return anchor(best.index, ANCHOR_STATUS.moved,
+                `Target moved from paragraph ${recordedIndex + 1} to ${best.index + 1}`);
+        }
+        return anchor(-1, ANCHOR_STATUS.ambiguous,
+            `"${formattingContext.sampleText}" appears ${exactMatches.length} times and its position has drifted`);
+    }
+
+    // The text may have been edited: accept a clearly best, close enough paragraph near the recorded index
+    const start = Math.max(0, recordedIndex - SIMILARITY_WINDOW);
+    const end = Math.min(texts.length, recordedIndex + SIMILARITY_WINDOW + 1);
+    const candidates = [];
+    for (let index = start; index < end; index++) {
+        const score = similarity(texts[index], sampleText);
+        if (score >= SIMILARITY_THRESHOLD - SIMILARITY_MARGIN) {
+            candidates.push({ index: index, score: score });
+        }
+    }
+
+    const best = pickBest(candidates, SIMILARITY_MARGIN);
+    if (best && best.score >= SIMILARITY_THRESHOLD) {
+        return anchor(best.index, ANCHOR_STATUS.similar,
+            `Target text has changed since verification (${Math.round(best.score * 100)}% similar)`);
+    }
+
+    if (candidates.length > 1) {
+        return anchor(-1, ANCHOR_STATUS.ambiguous,
+            `Several paragraphs resemble "${formattingContext.sampleText}" and its position has drifted`);
+    }
+    return anchor(-1, ANCHOR_STATUS.notFound, `Target "${formattingContext.sampleText}" not found, the document has drifted`);
+}
+
+/**
+ * Locate the paragraph holding a run by the run's text: the recorded paragraph if it still
+ * contains it, else the only paragraph that does
+ */
+function locateRunSample(formattingContext, recordedIndex, sampleText, texts) {
+    if (recordedIndex >= 0 && recordedIndex < texts.length && texts[recordedIndex].includes(sampleText)) {
+        return anchor(recordedIndex, ANCHOR_STATUS.matched, "");
+    }
+
+    const matches = [];
+    texts.forEach((text, index) => {
+        if (text.includes(sampleText)) matches.push(index);
+    });
+
+    if (matches.length === 1) {
+        return anchor(matches[0], ANCHOR_STATUS.moved,
+            `Target moved from paragraph ${recordedIndex + 1} to ${matches[0] + 1}`);
+    }
+    if (matches.length > 1) {
+        return anchor(-1, ANCHOR_STATUS.ambiguous,
+            `"${formattingContext.sampleText}" appears in ${matches.length} paragraphs and its position has drifted`);
+    }
+    return anchor(-1, ANCHOR_STATUS.notFound, `Target "${formattingContext.sampleText}" not found, the document has drifted`);
+}
+
+/**
+ * Whether a located target is safe to navigate to and edit
+ */
+export function isAnchorUsable(located) {
+    return located.index >= 0;
+}
+
+/**
+ * Build a located target
+ */
+function anchor(index, status, message) {
+    return { index: index, status: status, message: message };
+}
+
+/**
+ * Pick the top-scoring candidate if it leads the runner-up by at least margin
+ */
+function pickBest(candidates, margin) {
+    if (candidates.length === 0) return null;
+
+    const sorted = candidates.slice().sort((a, b) => b.score - a.score);
+    if (sorted.length === 1 || sorted[0].score - sorted[1].score >= margin) {
+        return sorted[0];
+    }
+    return null;
+}
+
+/**
+ * Score a candidate paragraph by how many recorded neighbours sit at the same relative position
+ */
+function scoreNeighbours(candidateIndex, recordedIndex, texts, referenceLayout) {
+    let score = 0;
+
+    for (let offset = -NEIGHBOUR_WINDOW; offset <= NEIGHBOUR_WINDOW; offset++) {
+        if (offset === 0) continue;
+
+        const expected = referenceLayout.get(recordedIndex + offset);
+        if (expected !== undefined && texts[candidateIndex + offset] === expected) {
+            score++;
+        }
+    }
+
+    return score;
+}
+
+/**
+ * Dice coefficient over character bigrams, 1 for identical strings
+ */
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.substring(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Locate a target that covers a whole container (a table, row, cell or content control)
+ * by comparing the container's text with the sample text
+ */
+export function locateContainer(formattingContext, paragraphTexts) {
+    const sampleText = normalizeText(formattingContext.sampleText).replace(/\s/g, "");
+    const containerText = normalizeText(paragraphTexts.join("")).replace(/\s/g, "");
+
+    if (sampleText === "" || containerText === sampleText) {
+        return anchor(0, sampleText === "" ? ANCHOR_STATUS.indexOnly : ANCHOR_STATUS.matched, "");
+    }
+
+    const score = similarity(containerText, sampleText);
+    if (score >= SIMILARITY_THRESHOLD) {
+        return anchor(0, ANCHOR_STATUS.similar,
+            `Target text has changed since verification (${Math.round(score * 100)}% similar)`);
+    }
+    return anchor(-1, ANCHOR_STATUS.notFound, `Target "${formattingContext.sampleText}" not found, the document has drifted`);
+}
+
+/**
+ * Whether a container key is the paragraphs of a section body (not a header, footer, table or content control)
+ */
+function isSectionParagraphs(containerKey) {
+    return /^Section:\d+\/Paragraphs$/.test(containerKey);
+}
+
+/**
+ * Get the Word body for a document part: a section's body, header or footer
+ */
+function getPartBody(sections, part) {
+    const section = sections.items[part.sectionIndex];
+    if (!section) {
+        return null;
+    }
+
+    if (part.kind === "Header") return section.getHeader(part.headerFooterType);
+    if (part.kind === "Footer") return section.getFooter(part.headerFooterType);
+    return section.body;
+}
+
+/**
+ * Load the containers the json_object entries live in into a map keyed by container.
+ * Sections, then tables and content controls, have to be loaded before the paragraphs
+ * inside them, hence the three syncs. Containers already in the cache are not read again.
+ */
+async function loadContainers(wordContext, jsonObjects, cache) {
+    const containers = cache || new Map();
+    jsonObjects = jsonObjects.filter(obj => !containers.has(getContainerKey(obj.formattingContext || {})));
+    if (jsonObjects.length === 0) {
+        return containers;
+    }
+
+    const sections = wordContext.document.sections;
+    sections.load("items");
+    await wordContext.sync();
+
+    // Per document part: its body and the collections the targets need from it
+    const parts = new Map();
+    jsonObjects.forEach(obj => {
+        const context = obj.formattingContext || {};
+        const part = getDocumentPart(context);
+
+        if (!parts.has(part.key)) {
+            parts.set(part.key, { part: part, body: getPartBody(sections, part), tables: null, controlsByTag: new Map() });
+        }
+
+        const partState = parts.get(part.key);
+        if (!partState.body) return;
+
+        if (context.contentControlTag && !partState.controlsByTag.has(context.contentControlTag)) {
+            const controls = partState.body.contentControls.getByTag(context.contentControlTag);
+            controls.load("items/text");
+            partState.controlsByTag.set(context.contentControlTag, controls);
+        } else if (!context.contentControlTag && context.tableIndex >= 0 && !partState.tables) {
+            partState.tables = partState.body.tables;
+            partState.tables.load("items/rowCount,items/values");
+        }
+    });
+    await wordContext.sync();
+
+    jsonObjects.forEach(obj => {
+        const context = obj.formattingContext || {};
+        const key = getContainerKey(context);
+        if (containers.has(key)) return;
+
+        const partState = parts.get(getDocumentPart(context).key);
+        const container = { key: key, part: partState.part, paragraphs: null, error: "" };
+
+        if (!partState.body) {
+            container.error = `Section ${partState.part.sectionIndex + 1} not found in document`;
+        } else if (context.contentControlTag) {
+            const control = pickContentControl(partState.controlsByTag.get(context.contentControlTag).items, context);
+            if (control.error) {
+                container.error = control.error;
+            } else {
+                container.paragraphs = control.item.paragraphs;
+            }
+        } else if (context.tableIndex >= 0) {
+            const table = partState.tables.items[context.tableIndex];
+            if (!table) {
+                container.error = `Table ${context.tableIndex + 1} not found in document`;
+            } else if (context.rowIndex >= table.rowCount) {
+                container.error = `Row ${context.rowIndex + 1} not found in table ${context.tableIndex + 1}`;
+            } else if (context.rowIndex >= 0 && context.cellIndex >= 0) {
+                container.paragraphs = table.getCell(context.rowIndex, context.cellIndex).body.paragraphs;
+            } else if (context.rowIndex >= 0) {
+                // Every cell of the row, spanned from its first to its last cell
+                const lastCellIndex = table.values[context.rowIndex].length - 1;
+                container.paragraphs = table.getCell(context.rowIndex, 0).body.getRange("Whole")
+                    .expandTo(table.getCell(context.rowIndex, lastCellIndex).body.getRange("Whole"))
+                    .paragraphs;
+            } else {
+                container.paragraphs = table.getRange("Whole").paragraphs;
+            }
+        } else {
+            container.paragraphs = partState.body.paragraphs;
+        }
+
+        if (container.paragraphs) {
+            container.paragraphs.load("items/text");
+        }
+        containers.set(key, container);
+    });
+
+    await wordContext.sync();
+    return containers;
+}
+
+/**
+ * Choose among the content controls sharing a tag, using the sample text when there are several
+ */
+function pickContentControl(controls, formattingContext) {
+    if (controls.length === 0) {
+        return { error: `No content control tagged "${formattingContext.contentControlTag}" found in document` };
+    }
+    if (controls.length === 1) {
+        return { item: controls[0] };
+    }
+
+    const sampleText = normalizeText(formattingContext.sampleText);
+    const matches = controls.filter(control => sampleText !== "" && normalizeText(control.text).includes(sampleText));
+    if (matches.length === 1) {
+        return { item: matches[0] };
+    }
+    return { error: `${controls.length} content controls are tagged "${formattingContext.contentControlTag}" and the target cannot be told apart` };
+}
+
+/**
+ * Locate the paragraphs for a suggestion's json_object entries, reading each section body,
+ * header, footer, table cell and content control they live in once. Returns one
+ * { obj, paragraphs, located } per entry; paragraphs is empty when the target is not usable,
+ * and holds every paragraph of the container when the target is a whole table, row, cell or
+ * content control. Containers are kept in the optional cache map for later calls on the same
+ * request context.
+ */
+export async function resolveTargets(wordContext, jsonObjects, referenceLayout, cache = null) {
+    const containers = await loadContainers(wordContext, jsonObjects, cache);
+
+    const targets = jsonObjects.map(obj => {
+        const context = obj.formattingContext || {};
+        const container = containers.get(getContainerKey(context));
+
+        if (container.error) {
+            return { obj: obj, paragraphs: [], located: anchor(-1, ANCHOR_STATUS.notFound, container.error) };
+        }
+
+        const paragraphItems = container.paragraphs.items;
+        const paragraphTexts = paragraphItems.map(paragraph => paragraph.text);
+
+        if (!container.key.endsWith("/Paragraphs") && getParagraphIndex(context) < 0) {
+            const located = locateContainer(context, paragraphTexts);
+            return { obj: obj, paragraphs: isAnchorUsable(located) ? paragraphItems : [], located: located };
+        }
+
+        const located = locateParagraph(context, paragraphTexts, referenceLayout.get(container.key));
+        return {
+            obj: obj,
+            paragraphs: isAnchorUsable(located) ? [paragraphItems[located.index]] : [],
+            located: located
+        };
+    });
+
+    // Older payloads number body paragraphs across the whole document rather than per section,
+    // so a section body target that was not found gets a second look in the full body
+    const retry = targets.filter(target =>
+        target.paragraphs.length === 0 && isSectionParagraphs(getContainerKey(target.obj.formattingContext || {})));
+    if (retry.length > 0) {
+        let documentParagraphs = containers.has(DOCUMENT_PARAGRAPHS_KEY) ? containers.get(DOCUMENT_PARAGRAPHS_KEY).paragraphs : null;
+        if (!documentParagraphs) {
+            documentParagraphs = wordContext.document.body.paragraphs;
+            documentParagraphs.load("items/text");
+            await wordContext.sync();
+            containers.set(DOCUMENT_PARAGRAPHS_KEY, { key: DOCUMENT_PARAGRAPHS_KEY, paragraphs: documentParagraphs, error: "" });
+        }
+
+        const documentTexts = documentParagraphs.items.map(paragraph => paragraph.text);
+        retry.forEach(target => {
+            const located = locateParagraph(target.obj.formattingContext, documentTexts,
+                referenceLayout.get(getContainerKey(target.obj.formattingContext)));
+            if (isAnchorUsable(located)) {
+                target.paragraphs = [documentParagraphs.items[located.index]];
+                target.located = located;
+            }
+        });
+    }
+
+    return targets;
+}
@@ -0,0 +1,609 @@
+/**
+ * Apply Plans
+ * Resolves suggestions into plans of targets, runs and snapshots, then applies them
+ * with one sync per batch of suggestions, and one per paragraph whose OOXML is rewritten
+ */
+
+import { resolveTargets } from "./anchoring";
+import {
+    applyGroupOperation,
+    applyOoxmlOperations,
+    applyOperation,
+    applyStyleOperation,
+    getSnapshotPath,
+    isGroupOperation,
+    isOoxmlOperation,
+    isReplayableOperation,
+    OOXML_SNAPSHOT_PATH,
+    validateOperation
+} from "./operations";
+import { isRunOperation, resolveRunRangesBatch } from "./run-resolver";
+import { captureSnapshots, getSnapshotPaths } from "./snapshots";
+import { resolveStyles } from "./style-resolver";
+import { isDocumentTracking } from "./tracked-changes";
+import { invalidateParagraphCache, syncSteps } from "./word-executor";
+
+// Number of suggestions whose ops are queued before each sync
+const PLAN_BATCH_SIZE = 25;
+
+// Ops whose value names a style of the document
+const STYLE_REFERENCE_OPS = ["paragraph.style", "style.basedOn"];
+
+// Group ops run in this order, so the ops that rebuild a list come before those that format it
+const GROUP_OP_ORDER = ["list.restart", "list.join", "list.type", "list.level", "list.numberStyle"];
+
+// What happened to an op on a target when a plan was applied
+export const OUTCOME_STATUS = {
+    SUCCEEDED: "succeeded",
+    FAILED: "failed",
+    SKIPPED: "skipped"
+};
+
+// Outcome codes for ops that never reached Word; Word's own errors keep their code
+export const OUTCOME_CODES = {
+    INVALID_VALUE: "InvalidValue",
+    TARGET_NOT_FOUND: "TargetNotFound",
+    RUN_NOT_FOUND: "RunNotFound",
+    NOT_APPLIED: "NotApplied",
+    TRACKED_REWRITE: "TrackedRewrite"
+};
+
+/**
+ * Resolve targets, validate ops and read the current values for a list of
+ * [{ queue, index, suggestion, retryParts }] entries, without changing the document.
+ * retryParts, from getRetryParts, limits a plan to the ops and targets that did not go
+ * through before. The returned plans drive both the dry-run listing and executePlans.
+ */
+export async function planSuggestions(wordContext, entries, referenceLayout, cache = null) {
+    const plans = entries.map(entry => {
+        const forStyle = entry.queue === "styles";
+        const retryParts = entry.retryParts || null;
+        const ops = retryParts ? entry.suggestion.ops.filter(op => retryParts.some(part => part.prop === op.prop)) : entry.suggestion.ops;
+        const invalidOps = [];
+        const validOps = ops.filter(op => {
+            try {
+                validateOperation(op, forStyle);
+                return true;
+            } catch (error) {
+                invalidOps.push({ op: op, message: error.message });
+                return false;
+            }
+        });
+
+        return {
+            queue: entry.queue,
+            index: entry.index,
+            suggestion: entry.suggestion,
+            ops: validOps,
+            invalidOps: invalidOps,
+            targets: [],
+            unresolvedTargets: [],
+            groupOps: [],
+            snapshots: [],
+            missingStyles: [],
+            retryParts: retryParts,
+            error: invalidOps.length > 0 && validOps.length === 0 ? invalidOps[0].message : null
+        };
+    });
+
+    await resolvePlanStyles(wordContext, plans);
+
+    const documentPlans = plans.filter(plan => plan.queue === "document");
+    const stylePlans = plans.filter(plan => plan.queue === "styles");
+
+    const snapshotRequests = (await planDocumentTargets(wordContext, documentPlans, referenceLayout, cache))
+        .concat(await planStyleTargets(wordContext, stylePlans));
+
+    // The current values are shown by the dry run and kept as the revert snapshots
+    const captured = await captureSnapshots(wordContext, snapshotRequests);
+    captured.forEach((data, i) => {
+        const request = snapshotRequests[i];
+        const snapshot = request.plan.queue === "styles" ? { data: data } : {
+            objIndex: request.planned.objIndex,
+            paragraphOffset: request.planned.paragraphOffset,
+            runIndex: request.runIndex,
+            data: data
+        };
+        request.plan.snapshots.push(snapshot);
+        if (request.planned) {
+            request.planned.current.push({ runIndex: request.runIndex, data: data });
+        }
+    });
+
+    return plans;
+}
+
+/**
+ * Resolve the styles plans refer to against the document's styles, in one load: the style a
+ * style plan edits, and the values of paragraph.style and style.basedOn ops, which are
+ * rewritten to what Word expects. Ops naming a style the document does not have become
+ * invalid, and the style IDs are listed in plan.missingStyles.
+ */
+async function resolvePlanStyles(wordContext, plans) {
+    const styleIds = [];
+    plans.forEach(plan => {
+        if (plan.queue === "styles") {
+            styleIds.push(plan.suggestion.styleId);
+        }
+        plan.ops
+            .filter(isStyleReferenceOperation)
+            .forEach(op => styleIds.push(op.to.trim()));
+    });
+    if (styleIds.length === 0) {
+        return;
+    }
+
+    const resolutions = await resolveStyles(wordContext, styleIds);
+    plans.forEach(plan => {
+        if (plan.queue === "styles") {
+            plan.styleResolution = resolutions.get(plan.suggestion.styleId);
+        }
+
+        const ops = [];
+        plan.ops.forEach(op => {
+            if (!isStyleReferenceOperation(op)) {
+                ops.push(op);
+                return;
+            }
+
+            const resolution = resolutions.get(op.to.trim());
+            const resolved = resolveStyleOperation(op, resolution);
+            if (resolved) {
+                ops.push(resolved);
+            } else {
+                addMissingStyle(plan, resolution.styleId);
+                plan.invalidOps.push({ op: op, message: `Style "${resolution.styleId}" does not exist in this document` });
+            }
+        });
+        plan.ops = ops;
+
+        if (!plan.error && plan.ops.length === 0 && plan.invalidOps.length > 0) {
+            plan.error = plan.invalidOps[0].message;
+        }
+    });
+}
+
+/**
+ * Whether an op's value names a style of the document
+ */
+export function isStyleReferenceOperation(op) {
+    return STYLE_REFERENCE_OPS.includes(op.prop);
+}
+
+/**
+ * Rewrite an op naming a style to what Word expects, given the style's resolution. Returns
+ * null when the document does not have the style.
+ */
+export function resolveStyleOperation(op, resolution) {
+    if (resolution.found) {
+        return Object.assign({}, op, { to: resolution.name });
+    }
+    if (op.prop === "paragraph.style" && resolution.builtIn) {
+        // Built-in styles can be applied to paragraphs before the document defines them
+        return Object.assign({}, op, { prop: "paragraph.styleBuiltIn", to: resolution.builtIn });
+    }
+    return null;
+}
+
+/**
+ * Note a style a plan needs that the document does not have
+ */
+function addMissingStyle(plan, styleId) {
+    if (!plan.missingStyles.includes(styleId)) {
+        plan.missingStyles.push(styleId);
+    }
+}
+
+/**
+ * Resolve the paragraphs and runs of document suggestion plans, returning the snapshot
+ * requests for them. Every json_object of every plan is resolved in one pass.
+ */
+async function planDocumentTargets(wordContext, plans, referenceLayout, cache) {
+    const objects = [];
+    plans.forEach(plan => plan.suggestion.json_object.forEach((obj, objIndex) => {
+        if (isRetryTarget(plan, objIndex)) {
+            objects.push({ plan: plan, objIndex: objIndex, obj: obj });
+        }
+    }));
+    if (objects.length === 0) {
+        return [];
+    }
+
+    const resolved = await resolveTargets(wordContext, objects.map(object => object.obj), referenceLayout, cache);
+    const plannedTargets = [];
+
+    resolved.forEach((target, i) => {
+        const { plan, objIndex } = objects[i];
+        if (target.paragraphs.length === 0) {
+            plan.unresolvedTargets.push({
+                objIndex: objIndex,
+                contextKey: target.obj.formattingContext.contextKey,
+                status: target.located.status,
+                message: target.located.message
+            });
+            return;
+        }
+
+        target.paragraphs.forEach((paragraph, paragraphOffset) => {
+            const planned = {
+                plan: plan,
+                objIndex: objIndex,
+                paragraphOffset: paragraphOffset,
+                obj: target.obj,
+                located: target.located,
+                paragraph: paragraph,
+                runRanges: [],
+                runError: null,
+                current: []
+            };
+            plan.targets.push(planned);
+            plannedTargets.push(planned);
+        });
+    });
+
+    plans.forEach(plan => {
+        plan.groupOps = plan.ops
+            .filter(isGroupOperation)
+            .sort((a, b) => GROUP_OP_ORDER.indexOf(a.prop) - GROUP_OP_ORDER.indexOf(b.prop));
+
+        // Never edit a paragraph we could not positively identify
+        if (!plan.error && plan.targets.length === 0 && plan.unresolvedTargets.length > 0) {
+            plan.error = `Target not found or drifted. ${plan.unresolvedTargets[0].message}`;
+        }
+    });
+
+    const runResults = await resolveRunRangesBatch(wordContext, plannedTargets.map(planned => ({
+        paragraph: planned.paragraph,
+        obj: planned.obj
+    })));
+
+    const snapshotRequests = [];
+    plannedTargets.forEach((planned, i) => {
+        planned.runRanges = runResults[i].ranges;
+        planned.runError = runResults[i].error;
+
+        // Direct formatting fixes are limited to the runs that carry them, and never fall back to the paragraph
+        const targetOps = planned.plan.ops.filter(op => isRetryPart(planned.plan, planned.objIndex, op));
+        planned.runOps = planned.runRanges.length > 0 ? targetOps.filter(isRunOperation) : [];
+        planned.paragraphOps = targetOps.filter(op => !isGroupOperation(op) && (!isRunOperation(op) || (planned.runRanges.length === 0 && !planned.runError)));
+
+        const paragraphPaths = getSnapshotPaths(planned.paragraphOps.concat(planned.plan.groupOps));
+        snapshotRequests.push({ plan: planned.plan, planned: planned, runIndex: -1, target: planned.paragraph, paths: paragraphPaths });
+        planned.runRanges.forEach((range, runIndex) => {
+            snapshotRequests.push({ plan: planned.plan, planned: planned, runIndex: runIndex, target: range, paths: getSnapshotPaths(planned.runOps) });
+        });
+    });
+
+    return snapshotRequests;
+}
+
+/**
+ * Look up the styles of style definition plans in one sync, returning their snapshot requests
+ */
+async function planStyleTargets(wordContext, plans) {
+    if (plans.length === 0) {
+        return [];
+    }
+
+    const styles = plans.map(plan => {
+        if (!plan.styleResolution.found) {
+            return null;
+        }
+        const style = wordContext.document.getStyles().getByNameOrNullObject(plan.styleResolution.name);
+        style.load("nameLocal");
+        return style;
+    });
+    await wordContext.sync();
+
+    const snapshotRequests = [];
+    plans.forEach((plan, i) => {
+        plan.styleName = plan.styleResolution.found ? plan.styleResolution.name : plan.suggestion.styleId;
+        if (!styles[i] || styles[i].isNullObject) {
+            addMissingStyle(plan, plan.suggestion.styleId);
+            plan.error = `Style "${plan.styleName}" does not exist in this document`;
+            return;
+        }
+        if (plan.error) {
+            return;
+        }
+
+        plan.style = styles[i];
+        snapshotRequests.push({ plan: plan, target: plan.style, paths: getSnapshotPaths(plan.ops, true) });
+    });
+
+    return snapshotRequests;
+}
+
+/**
+ * Apply planned suggestions, queuing the ops of PLAN_BATCH_SIZE suggestions per sync.
+ * Returns { plan, applied, partial, error, failedOps, outcomes } per plan. outcomes has one
+ * { objIndex, contextKey, prop, to, status, code, message } per op and target, see getPlanOutcomes.
+ * A plan counts as applied when any op went through, and as partial when others did not;
+ * failedOps lists the { op, contextKey, error } Word rejected.
+ */
+export async function executePlans(wordContext, plans, onProgress) {
+    const results = [];
+    const runnable = plans.filter(plan => {
+        if (plan.error) {
+            results.push({ plan: plan, applied: false, partial: false, error: new Error(plan.error), failedOps: [], outcomes: getPlanOutcomes(plan, []) });
+            return false;
+        }
+        return true;
+    });
+
+    for (let start = 0; start < runnable.length; start += PLAN_BATCH_SIZE) {
+        const batch = runnable.slice(start, start + PLAN_BATCH_SIZE);
+        const steps = [];
+        const groupSteps = [];
+        const rewriteSteps = [];
+        batch.forEach(plan => getPlanSteps(plan).forEach(step => {
+            if (step.rewrite) {
+                rewriteSteps.push(step);
+            } else if (step.group) {
+                groupSteps.push(step);
+            } else {
+                steps.push(step);
+            }
+        }));
+
+        // List ops run before the rewrites, which replace the paragraphs they hold
+        const outcomes = (await syncSteps(wordContext, steps))
+            .concat(await syncGroupSteps(wordContext, groupSteps))
+            .concat(await syncRewriteSteps(wordContext, rewriteSteps));
+
+        // Rewritten paragraphs are new objects in Word, so the cached collections no longer hold them
+        if (steps.concat(groupSteps, rewriteSteps).some(step => getSnapshotPath(step.op.prop, step.plan.queue === "styles") === OOXML_SNAPSHOT_PATH)) {
+            invalidateParagraphCache();
+        }
+
+        batch.forEach(plan => {
+            const planOutcomes = outcomes.filter(outcome => outcome.step.plan === plan);
+            const failedOps = [];
+            planOutcomes.filter(outcome => outcome.error).forEach(outcome => getStepOps(outcome.step).forEach(op => {
+                failedOps.push({ op: op, contextKey: outcome.step.contextKey, error: outcome.error });
+            }));
+            const outcomes = getPlanOutcomes(plan, planOutcomes);
+            const applied = outcomes.some(outcome => outcome.status === OUTCOME_STATUS.SUCCEEDED);
+
+            results.push({
+                plan: plan,
+                applied: applied,
+                partial: applied && outcomes.some(outcome => outcome.status !== OUTCOME_STATUS.SUCCEEDED),
+                error: applied ? null : getOutcomeError(outcomes, failedOps),
+                failedOps: failedOps,
+                outcomes: outcomes
+            });
+        });
+
+        if (onProgress) {
+            onProgress(Math.min(start + PLAN_BATCH_SIZE, runnable.length), runnable.length);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Run the steps of group ops once the batch's other steps have gone through, each on its own.
+ * List ops read the lists their paragraphs are in, and a new list's ID, with syncs of their
+ * own; batched, those syncs would send the other steps to Word early, and the batch's failures
+ * would be put down to the wrong steps. Returns { step, error } per step.
+ */
+export async function syncGroupSteps(wordContext, steps) {
+    const outcomes = [];
+    for (const step of steps) {
+        (await syncSteps(wordContext, [step])).forEach(outcome => outcomes.push(outcome));
+    }
+    return outcomes;
+}
+
+/**
+ * Run the steps that rewrite a paragraph's OOXML, once every other step of the batch has
+ * gone through: the paragraphs are read as they are now, so a rewrite keeps the batch's
+ * other changes, and each is replaced in a sync of its own, as the old paragraph is gone
+ * afterwards. While the document tracks changes, Word would record a rewrite as a deleted and
+ * an inserted paragraph, so the steps are refused with TRACKED_REWRITE instead, to be retried
+ * with tracking off. Steps are { paragraph, ops }; returns { step, error } per step.
+ */
+export async function syncRewriteSteps(wordContext, steps) {
+    if (steps.length === 0) {
+        return [];
+    }
+    if (await isDocumentTracking(wordContext)) {
+        const error = new Error("Not applied while changes are tracked, as Word would record rewriting the paragraph as deleting and inserting it; turn tracking off and retry");
+        error.code = OUTCOME_CODES.TRACKED_REWRITE;
+        return steps.map(step => ({ step: step, error: error }));
+    }
+
+    let ooxml;
+    try {
+        ooxml = steps.map(step => step.paragraph.getOoxml());
+        await wordContext.sync();
+    } catch (error) {
+        return steps.map(step => ({ step: step, error: error }));
+    }
+
+    const outcomes = [];
+    for (let i = 0; i < steps.length; i++) {
+        const rewrite = Object.assign({}, steps[i], {
+            queue: () => applyOoxmlOperations(steps[i].paragraph, ooxml[i].value, steps[i].ops)
+        });
+        (await syncSteps(wordContext, [rewrite])).forEach(outcome => outcomes.push(outcome));
+    }
+    return outcomes;
+}
+
+/**
+ * Get the ops a step applies: one, or several for a paragraph rewrite
+ */
+function getStepOps(step) {
+    return step.ops || [step.op];
+}
+
+/**
+ * Break a plan into one step per op and target, for syncSteps. Group ops get one step
+ * covering every target paragraph, for syncGroupSteps. The ops written into a target's OOXML
+ * get one rewrite step, for syncRewriteSteps.
+ */
+function getPlanSteps(plan) {
+    if (plan.queue === "styles") {
+        return plan.ops.map(op => ({
+            plan: plan,
+            op: op,
+            objIndex: null,
+            contextKey: plan.styleName,
+            queue: () => applyStyleOperation(plan.style, op)
+        }));
+    }
+
+    const steps = [];
+    plan.targets.forEach(planned => {
+        const contextKey = planned.obj.formattingContext.contextKey;
+
+        planned.paragraphOps.filter(op => !isOoxmlOperation(op)).forEach(op => steps.push({
+            plan: plan,
+            op: op,
+            objIndex: planned.objIndex,
+            contextKey: contextKey,
+            queue: () => applyOperation(planned.paragraph, op)
+        }));
+
+        const ooxmlOps = planned.paragraphOps.filter(isOoxmlOperation);
+        if (ooxmlOps.length > 0) {
+            steps.push({
+                plan: plan,
+                op: ooxmlOps[0],
+                ops: ooxmlOps,
+                objIndex: planned.objIndex,
+                contextKey: contextKey,
+                paragraph: planned.paragraph,
+                rewrite: true,
+                replayable: false
+            });
+        }
+
+        planned.runOps.forEach(op => steps.push({
+            plan: plan,
+            op: op,
+            objIndex: planned.objIndex,
+            contextKey: contextKey,
+            queue: async () => {
+                for (const range of planned.runRanges) {
+                    await applyOperation(range, op);
+                }
+            }
+        }));
+    });
+
+    const paragraphs = plan.targets.map(planned => planned.paragraph);
+    const contextKeys = plan.targets.map(planned => planned.obj.formattingContext.contextKey).join(", ");
+    plan.groupOps.forEach(op => steps.push({
+        plan: plan,
+        op: op,
+        objIndex: null,
+        contextKey: contextKeys,
+        group: true,
+        replayable: isReplayableOperation(op),
+        queue: () => applyGroupOperation(paragraphs, op)
+    }));
+    return steps;
+}
+
+/**
+ * List what happened to each op of a plan on each target: the steps Word ran or rejected, with
+ * the error code Word gave, and the ops that never reached Word: invalid values, targets that
+ * were not found and font changes whose runs were not found. objIndex is null for ops that
+ * cover every target (list ops, invalid values) and for style definitions.
+ */
+export function getPlanOutcomes(plan, stepOutcomes) {
+    const outcomes = [];
+    stepOutcomes.forEach(outcome => getStepOps(outcome.step).forEach(op => outcomes.push(describeOutcome(
+        outcome.step.objIndex,
+        outcome.step.contextKey,
+        op,
+        outcome.error ? OUTCOME_STATUS.FAILED : OUTCOME_STATUS.SUCCEEDED,
+        outcome.error ? outcome.error.code || outcome.error.name : null,
+        outcome.error ? outcome.error.message : null))));
+
+    plan.invalidOps.forEach(invalid => outcomes.push(describeOutcome(
+        null, "", invalid.op, OUTCOME_STATUS.FAILED, OUTCOME_CODES.INVALID_VALUE, invalid.message)));
+
+    plan.unresolvedTargets.forEach(unresolved => plan.ops.forEach(op => outcomes.push(describeOutcome(
+        unresolved.objIndex, unresolved.contextKey, op, OUTCOME_STATUS.SKIPPED, OUTCOME_CODES.TARGET_NOT_FOUND, unresolved.message))));
+
+    plan.targets.filter(planned => planned.runError).forEach(planned => {
+        plan.ops
+            .filter(op => isRunOperation(op) && isRetryPart(plan, planned.objIndex, op))
+            .forEach(op => outcomes.push(describeOutcome(
+                planned.objIndex, planned.obj.formattingContext.contextKey, op, OUTCOME_STATUS.SKIPPED, OUTCOME_CODES.RUN_NOT_FOUND, planned.runError.message)));
+    });
+
+    // A plan that failed as a whole, such as a style definition missing from the document
+    if (outcomes.length === 0 && plan.error) {
+        plan.ops.forEach(op => outcomes.push(describeOutcome(
+            null, plan.styleName || "", op, OUTCOME_STATUS.FAILED, OUTCOME_CODES.NOT_APPLIED, plan.error)));
+    }
+
+    return outcomes;
+}
+
+/**
+ * Get the parts to try again from the outcomes of an earlier apply: every op and target
+ * that did not succeed, as [{ objIndex, prop }]. Returns null without outcomes, for
+ * decisions saved before outcomes were recorded, so the whole suggestion is tried again.
+ */
+export function getRetryParts(outcomes) {
+    if (!outcomes) {
+        return null;
+    }
+
+    const parts = [];
+    outcomes
+        .filter(outcome => outcome.status !== OUTCOME_STATUS.SUCCEEDED)
+        .forEach(outcome => {
+            if (!parts.some(part => part.objIndex === outcome.objIndex && part.prop === outcome.prop)) {
+                parts.push({ objIndex: outcome.objIndex, prop: outcome.prop });
+            }
+        });
+    return parts;
+}
+
+/**
+ * Describe one op on one target as plain data, so outcomes can be saved with the session
+ */
+function describeOutcome(objIndex, contextKey, op, status, code, message) {
+    return {
+        objIndex: objIndex,
+        contextKey: contextKey,
+        prop: op.prop,
+        to: op.to,
+        status: status,
+        code: code || null,
+        message: message || null
+    };
+}
+
+/**
+ * Get the error reported for a plan of which nothing went through
+ */
+function getOutcomeError(outcomes, failedOps) {
+    if (failedOps.length > 0) {
+        return failedOps[0].error;
+    }
+    const outcome = outcomes.find(candidate => candidate.status !== OUTCOME_STATUS.SUCCEEDED);
+    return new Error(outcome ? outcome.message : "There was nothing to apply");
+}
+
+/**
+ * Whether a target of a plan is tried: every target, unless the plan retries some of them
+ */
+function isRetryTarget(plan, objIndex) {
+    return !plan.retryParts || plan.retryParts.some(part => part.objIndex === null || part.objIndex === objIndex);
+}
+
+/**
+ * Whether an op is applied to a target: always, unless the plan retries other ops there
+ */
+function isRetryPart(plan, objIndex, op) {
+    return !plan.retryParts || plan.retryParts.some(part => part.prop === op.prop && (part.objIndex === null || part.objIndex === objIndex));
+}
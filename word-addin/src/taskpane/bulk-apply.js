@@ -0,0 +1,111 @@
+/**
+ * Bulk Apply
+ * Selects suggestions for applying many at once and describes their plans for the dry run
+ */
+
+import { getSnapshotPath, OOXML_SNAPSHOT_PATH } from "./operations";
+
+export const BULK_FILTER_TYPES = {
+    ALL: "all",
+    PROP: "prop",
+    STYLE_TYPE: "styleType",
+    STRUCTURAL_ROLE: "structuralRole"
+};
+
+/**
+ * Collect the op props, style types and structural roles present in the loaded
+ * suggestions, for the "Apply all of this type" choices
+ */
+export function getBulkFilterOptions(documentSuggestions, styleSuggestions) {
+    const options = { prop: [], styleType: [], structuralRole: [] };
+    const add = (list, value) => {
+        if (value && !list.includes(value)) list.push(value);
+    };
+
+    documentSuggestions.concat(styleSuggestions).forEach(suggestion => {
+        suggestion.ops.forEach(op => add(options.prop, op.prop));
+        (suggestion.json_object || []).forEach(obj => {
+            add(options.styleType, obj.styleType);
+            add(options.structuralRole, obj.formattingContext && obj.formattingContext.structuralRole);
+        });
+    });
+
+    Object.keys(options).forEach(key => options[key].sort());
+    return options;
+}
+
+/**
+ * Whether a suggestion matches a { type, value } bulk filter. Style definition
+ * suggestions have no json_object, so they only match "all" and op filters.
+ */
+export function matchesBulkFilter(suggestion, filter) {
+    const objects = suggestion.json_object || [];
+
+    switch (filter.type) {
+        case BULK_FILTER_TYPES.PROP:
+            return suggestion.ops.some(op => op.prop === filter.value);
+        case BULK_FILTER_TYPES.STYLE_TYPE:
+            return objects.some(obj => obj.styleType === filter.value);
+        case BULK_FILTER_TYPES.STRUCTURAL_ROLE:
+            return objects.some(obj => obj.formattingContext && obj.formattingContext.structuralRole === filter.value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Describe what a plan would change, one line per target and op, for the dry run
+ */
+export function describeBulkPlan(plan) {
+    const lines = [];
+
+    if (plan.error) {
+        lines.push(`Not applied: ${plan.error}`);
+    }
+    plan.invalidOps.forEach(invalid => lines.push(`Skipped op: ${invalid.message}`));
+
+    if (plan.queue === "styles") {
+        if (plan.style) {
+            plan.ops.forEach(op => lines.push(`  ${describeChange(op, plan.snapshots[0].data, true)}`));
+        }
+        return lines;
+    }
+
+    plan.targets.forEach(planned => {
+        const context = planned.obj.formattingContext;
+        lines.push(`${context.contextKey} "${context.sampleText}" (${planned.located.status})`);
+
+        const paragraphData = planned.current.find(current => current.runIndex === -1).data;
+        planned.paragraphOps.forEach(op => lines.push(`  ${describeChange(op, paragraphData, false)}`));
+
+        planned.current.filter(current => current.runIndex !== -1).forEach(current => {
+            planned.runOps.forEach(op => lines.push(`  Run ${current.runIndex + 1}: ${describeChange(op, current.data, false)}`));
+        });
+
+        if (planned.runError) {
+            lines.push(`  Font ops skipped: ${planned.runError.message}`);
+        }
+    });
+
+    if (plan.groupOps.length > 0 && plan.targets.length > 0) {
+        lines.push(`As one list of ${plan.targets.length} paragraph${plan.targets.length === 1 ? "" : "s"}:`);
+        plan.groupOps.forEach(op => lines.push(`  ${describeChange(op, {}, false)}`));
+    }
+
+    plan.unresolvedTargets.forEach(target => lines.push(`${target.contextKey} left unchanged: ${target.message}`));
+
+    return lines;
+}
+
+/**
+ * Describe a single op as "prop: current → new"
+ */
+function describeChange(op, currentData, forStyle) {
+    const path = getSnapshotPath(op.prop, forStyle);
+    if (!path || path === OOXML_SNAPSHOT_PATH) {
+        return `${op.prop}: → ${op.to}`;
+    }
+
+    const current = currentData[path];
+    return `${op.prop}: ${current === null || current === undefined || current === "" ? "(mixed)" : current} → ${op.to}`;
+}
@@ -0,0 +1,72 @@
+/**
+ * Document File
+ * Reads the open document as a .docx file, for sending it to the verification API
+ */
+
+/* global Blob, Office */
+
+const DOCX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Office hands the file over in slices of at most 4 MB
+const SLICE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Read the whole document, as last saved or as currently edited depending on the host,
+ * into a .docx Blob
+ */
+export function getDocumentFile() {
+    return new Promise((resolve, reject) => {
+        Office.context.document.getFileAsync(Office.FileType.Compressed, { sliceSize: SLICE_SIZE }, result => {
+            if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                reject(new Error(`Could not read the document: ${result.error.message}`));
+                return;
+            }
+
+            // Only one file can be open at a time, so it is closed whatever happens
+            const file = result.value;
+            readSlices(file).then(slices => {
+                file.closeAsync();
+                resolve(new Blob(slices.map(slice => new Uint8Array(slice)), { type: DOCX_MIME_TYPE }));
+            }, error => {
+                file.closeAsync();
+                reject(error);
+            });
+        });
+    });
+}
+
+/**
+ * Get a file name for the open document, always with the .docx extension the API requires
+ */
+export function getDocumentFileName() {
+    const url = Office.context.document.url || "";
+    const baseName = decodeURIComponent(url.split(/[\\/]/).pop() || "").split("?")[0];
+    const name = baseName.replace(/\.[^.]*$/, "") || "Untitled";
+    return `${name}.docx`;
+}
+
+/**
+ * Read every slice of an Office file in order
+ */
+async function readSlices(file) {
+    const slices = [];
+    for (let index = 0; index < file.sliceCount; index++) {
+        slices.push(await readSlice(file, index));
+    }
+    return slices;
+}
+
+/**
+ * Read one slice of an Office file
+ */
+function readSlice(file, index) {
+    return new Promise((resolve, reject) => {
+        file.getSliceAsync(index, result => {
+            if (result.status === Office.AsyncResultStatus.Succeeded) {
+                resolve(result.value.data);
+            } else {
+                reject(new Error(`Could not read part ${index + 1} of the document: ${result.error.message}`));
+            }
+        });
+    });
+}
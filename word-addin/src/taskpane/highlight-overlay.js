@@ -0,0 +1,219 @@
+/**
+ * Highlight Overlay
+ * Marks the paragraphs of every pending suggestion with a highlight colour by severity, and puts
+ * the document's own highlighting back when a suggestion is resolved or the overlay is turned off
+ */
+
+import { resolveTargets } from "./anchoring";
+import { getSavedOverlayMarks, saveOverlayMarks } from "./review-session";
+import { withoutTrackedChanges } from "./tracked-changes";
+
+// Word highlight colours by mismatch severity, lowest first, with the RGB value for the legend
+export const SEVERITY_COLORS = [
+    { severity: "Low", color: "Turquoise", rgb: "#00FFFF" },
+    { severity: "Medium", color: "Yellow", rgb: "#FFFF00" },
+    { severity: "High", color: "Pink", rgb: "#FF00FF" },
+    { severity: "Critical", color: "Red", rgb: "#FF0000" }
+];
+
+// For suggestions without a severity, such as those loaded from a file
+export const DEFAULT_OVERLAY_COLOR = { severity: "None", color: "Gray25", rgb: "#C0C0C0" };
+
+// Words are split on spaces to keep highlighting that covers part of a paragraph
+const WORD_DELIMITERS = [" "];
+
+// Marked paragraphs by mark key: { formattingContext, paragraphOffset, color, original }.
+// original is the paragraph's highlight colour (null for none), or { wordCount, words } when
+// only some words were highlighted.
+const marks = new Map();
+
+/**
+ * Bring the marks in line with the pending suggestions: mark the paragraphs they target, in the
+ * colour of the most severe suggestion on each, and restore the original highlighting of
+ * paragraphs no longer pending. Paragraphs of clearedSuggestions are restored even when another
+ * pending suggestion targets them, so they can be snapshotted and changed without the mark.
+ * Returns { marked, lost }, lost counting marked paragraphs that could not be found to restore.
+ */
+export async function syncOverlay(wordContext, paragraphCache, referenceLayout, pendingSuggestions, clearedSuggestions = []) {
+    const pendingObjects = [];
+    pendingSuggestions.forEach(suggestion => suggestion.json_object.forEach(obj => {
+        pendingObjects.push({ obj: obj, color: getSeverityColor(suggestion.severity) });
+    }));
+    const clearedObjects = [];
+    clearedSuggestions.forEach(suggestion => suggestion.json_object.forEach(obj => clearedObjects.push(obj)));
+    const markObjects = Array.from(marks.values()).map(mark => ({ formattingContext: mark.formattingContext }));
+
+    const objects = pendingObjects.map(pending => pending.obj).concat(clearedObjects, markObjects);
+    const resolved = objects.length > 0 ? await resolveTargets(wordContext, objects, referenceLayout, paragraphCache) : [];
+
+    const paragraphs = new Map();
+    const desired = new Map();
+    resolved.forEach((target, i) => target.paragraphs.forEach((paragraph, paragraphOffset) => {
+        const key = getMarkKey(target.obj.formattingContext, paragraphOffset);
+        if (!paragraphs.has(key)) {
+            paragraphs.set(key, paragraph);
+        }
+
+        if (i < pendingObjects.length) {
+            const current = desired.get(key);
+            if (!current || getColorRank(pendingObjects[i].color) > getColorRank(current.color)) {
+                desired.set(key, { formattingContext: target.obj.formattingContext, paragraphOffset: paragraphOffset, color: pendingObjects[i].color });
+            }
+        }
+    }));
+    resolved.slice(pendingObjects.length, pendingObjects.length + clearedObjects.length).forEach(target => {
+        target.paragraphs.forEach((paragraph, paragraphOffset) => desired.delete(getMarkKey(target.obj.formattingContext, paragraphOffset)));
+    });
+
+    let lost = 0;
+    const restores = [];
+    Array.from(marks.keys()).filter(key => !desired.has(key)).forEach(key => {
+        const paragraph = paragraphs.get(key);
+        if (paragraph) {
+            restores.push({ paragraph: paragraph, original: marks.get(key).original });
+        } else {
+            lost++;
+        }
+        marks.delete(key);
+    });
+
+    const additions = Array.from(desired.keys()).filter(key => !marks.has(key)).map(key => ({
+        key: key,
+        paragraph: paragraphs.get(key),
+        mark: desired.get(key)
+    }));
+    const originals = await captureHighlights(wordContext, additions.map(addition => addition.paragraph));
+
+    // The marks are not the author's edits, so they stay out of tracked changes
+    lost += await withoutTrackedChanges(wordContext, async () => {
+        const unrestored = await restoreHighlights(wordContext, restores);
+
+        additions.forEach((addition, i) => {
+            marks.set(addition.key, Object.assign({ original: originals[i] }, addition.mark));
+        });
+        // Every mark is written again, as reverting or rewriting a paragraph's OOXML removes it
+        desired.forEach((mark, key) => {
+            marks.get(key).color = mark.color;
+            paragraphs.get(key).font.highlightColor = mark.color;
+        });
+        await wordContext.sync();
+        return unrestored;
+    });
+
+    await saveOverlayMarks(Array.from(marks.values()));
+    return { marked: marks.size, lost: lost };
+}
+
+/**
+ * Restore the original highlighting of every marked paragraph, including marks a task pane
+ * closed with the overlay on left in the document. Returns the count of marks that could not be restored.
+ */
+export async function clearOverlay(wordContext, paragraphCache, referenceLayout) {
+    getSavedOverlayMarks()
+        .filter(saved => !marks.has(getMarkKey(saved.formattingContext, saved.paragraphOffset)))
+        .forEach(saved => marks.set(getMarkKey(saved.formattingContext, saved.paragraphOffset), saved));
+
+    if (marks.size === 0) {
+        return 0;
+    }
+    const result = await syncOverlay(wordContext, paragraphCache, referenceLayout, []);
+    return result.lost;
+}
+
+/**
+ * Whether the document has overlay marks saved in it
+ */
+export function hasSavedOverlayMarks() {
+    return getSavedOverlayMarks().length > 0;
+}
+
+/**
+ * Get the highlight colour for a mismatch severity, ignoring case
+ */
+export function getSeverityColor(severity) {
+    const entry = SEVERITY_COLORS.find(candidate => candidate.severity.toLowerCase() === String(severity || "").toLowerCase());
+    return entry ? entry.color : DEFAULT_OVERLAY_COLOR.color;
+}
+
+/**
+ * Rank a highlight colour by the severity it stands for, so the most severe wins
+ */
+function getColorRank(color) {
+    return SEVERITY_COLORS.findIndex(entry => entry.color === color);
+}
+
+/**
+ * Identify a marked paragraph by its target and its offset among the target's paragraphs
+ */
+function getMarkKey(formattingContext, paragraphOffset) {
+    return `${formattingContext.contextKey || JSON.stringify(formattingContext)}#${paragraphOffset}`;
+}
+
+/**
+ * Read the highlighting of paragraphs before they are marked. Paragraphs with mixed
+ * highlighting (an empty colour) have it read word by word.
+ */
+async function captureHighlights(wordContext, paragraphs) {
+    if (paragraphs.length === 0) {
+        return [];
+    }
+
+    paragraphs.forEach(paragraph => paragraph.load("font/highlightColor"));
+    await wordContext.sync();
+
+    const words = paragraphs.map(paragraph => {
+        if (paragraph.font.highlightColor !== "") {
+            return null;
+        }
+        const ranges = paragraph.getTextRanges(WORD_DELIMITERS, false);
+        ranges.load("items/font/highlightColor");
+        return ranges;
+    });
+    if (words.some(ranges => ranges)) {
+        await wordContext.sync();
+    }
+
+    return paragraphs.map((paragraph, i) => {
+        if (!words[i]) {
+            return paragraph.font.highlightColor;
+        }
+        return {
+            wordCount: words[i].items.length,
+            words: words[i].items
+                .map((range, index) => ({ index: index, color: range.font.highlightColor }))
+                .filter(word => word.color)
+        };
+    });
+}
+
+/**
+ * Write original highlighting back onto paragraphs. Word-level highlighting is only restored
+ * when the paragraph still has as many words; returns how many could not be restored.
+ */
+async function restoreHighlights(wordContext, restores) {
+    const wordRestores = restores.filter(restore => restore.original && typeof restore.original === "object");
+    const ranges = wordRestores.map(restore => {
+        const words = restore.paragraph.getTextRanges(WORD_DELIMITERS, false);
+        words.load("items");
+        return words;
+    });
+    if (ranges.length > 0) {
+        await wordContext.sync();
+    }
+
+    restores.forEach(restore => {
+        restore.paragraph.font.highlightColor = typeof restore.original === "string" ? restore.original : null;
+    });
+
+    let lost = 0;
+    wordRestores.forEach((restore, i) => {
+        if (ranges[i].items.length !== restore.original.wordCount) {
+            lost++;
+            return;
+        }
+        restore.original.words.forEach(word => {
+            ranges[i].items[word.index].font.highlightColor = word.color;
+        });
+    });
+    return lost;
+}
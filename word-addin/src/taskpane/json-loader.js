@@ -3,6 +3,10 @@
  * Handles loading suggestions from various sources
  */
 
+import { convertVerificationResult } from './mismatch-suggestions';
+import { migrateSuggestions, validatePayload } from './suggestion-schema';
+import { fetchVerificationResult } from './verification-api';
+
 /**
  * Load suggestions from the actual JSON file in the parent project
  */
@@ -50,25 +54,11 @@ export function loadFromFile(file) {
 }
 
 /**
- * Load suggestions from API endpoint
+ * Load suggestions from a verification result in the API, converting its mismatches
  */
-export async function loadFromAPI(endpoint) {
-    try {
-        const response = await fetch(endpoint, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-            }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`API error! status: ${response.status}`);
-        }
-        
-        return await response.json();
-    } catch (error) {
-        throw new Error('Failed to load from API: ' + error.message);
-    }
+export async function loadFromAPI(verificationResultId) {
+    const result = await fetchVerificationResult(verificationResultId);
+    return convertVerificationResult(result);
 }
 
 /**
@@ -199,6 +189,10 @@ export function getDemoSuggestions() {
                         {
                             "prop": "paragraph.style",
                             "to": "ListNumber"
+                        },
+                        {
+                            "prop": "list.restart",
+                            "to": true
                         }
                     ],
                     "message": "template has a Bullet list and Numbered list under section 3, check that list logic did not break"
@@ -270,53 +264,26 @@ export function getDemoSuggestions() {
 }
 
 /**
- * Validate suggestions JSON structure
+ * Validate a suggestions payload of any supported version. Older versions are migrated first.
+ * Returns the valid suggestions and lists the rejected ones with their errors; throws when
+ * the payload as a whole is unusable.
  */
 export function validateSuggestions(jsonData) {
-    if (!jsonData) {
-        throw new Error('No data provided');
+    if (!jsonData || typeof jsonData !== 'object' || Array.isArray(jsonData)) {
+        throw new Error('No suggestions payload provided');
     }
-    
-    if (!jsonData.suggestions) {
-        throw new Error('Missing "suggestions" property');
-    }
-    
-    if (!jsonData.suggestions.document || !Array.isArray(jsonData.suggestions.document)) {
-        throw new Error('Missing or invalid "suggestions.document" array');
-    }
-    
-    // Validate each suggestion
-    jsonData.suggestions.document.forEach((suggestion, index) => {
-        if (!suggestion.json_object || !Array.isArray(suggestion.json_object)) {
-            throw new Error(`Suggestion ${index}: Missing or invalid "json_object" array`);
-        }
-        
-        if (!suggestion.ops || !Array.isArray(suggestion.ops)) {
-            throw new Error(`Suggestion ${index}: Missing or invalid "ops" array`);
-        }
-        
-        if (!suggestion.message) {
-            throw new Error(`Suggestion ${index}: Missing "message" property`);
-        }
-        
-        // Validate each object in json_object
-        suggestion.json_object.forEach((obj, objIndex) => {
-            if (!obj.formattingContext) {
-                throw new Error(`Suggestion ${index}, Object ${objIndex}: Missing "formattingContext"`);
-            }
-            
-            if (typeof obj.formattingContext.paragraphIndex !== 'number') {
-                throw new Error(`Suggestion ${index}, Object ${objIndex}: Invalid "paragraphIndex"`);
-            }
-        });
-        
-        // Validate operations
-        suggestion.ops.forEach((op, opIndex) => {
-            if (!op.prop || !op.to) {
-                throw new Error(`Suggestion ${index}, Operation ${opIndex}: Missing "prop" or "to" property`);
-            }
-        });
-    });
-    
-    return true;
-} 
\ No newline at end of file
+
+    const payload = migrateSuggestions(jsonData);
+    const validated = validatePayload(payload);
+
+    return {
+        schemaVersion: payload.schemaVersion,
+        migratedFrom: payload === jsonData ? null : (jsonData.schemaVersion || 1),
+        verification: payload.verification || null,
+        suggestions: {
+            document: validated.document,
+            styles: validated.styles
+        },
+        rejected: validated.rejected
+    };
+}
@@ -0,0 +1,342 @@
+/**
+ * Local Verifier
+ * Checks the open document against a template style profile inside the add-in, without the
+ * verification API, and turns the differences into suggestions in the usual format
+ */
+
+import {
+    getSnapshotPath,
+    INHERITED_WHEN_ZERO,
+    OOXML_SNAPSHOT_PATH,
+    POINTS_PER_LINE,
+    TEXT_STYLE_OPERATIONS,
+    validateOperation
+} from "./operations";
+import { SUGGESTIONS_SCHEMA_VERSION } from "./suggestion-schema";
+
+// TextStyle properties checked: those whose op reads a property Word reports. Borders, lists,
+// and paragraph toggles Word has no paragraph API for, are written as OOXML and not compared.
+const CHECKED_PROPERTIES = Object.keys(TEXT_STYLE_OPERATIONS)
+    .filter(property => getSnapshotPath(TEXT_STYLE_OPERATIONS[property]) !== OOXML_SNAPSHOT_PATH);
+
+// Extracted entries are named after their style and paragraph, e.g. "Heading 4_36"
+const ENTRY_NAME_SUFFIX = /_\d+$/;
+
+// Style types that do not describe a paragraph, and the role of run-level entries
+const IGNORED_STYLE_TYPES = ["Character", "Table", "Section"];
+const DIRECT_FORMATTING_ROLE = "DirectFormatting";
+
+// Lengths within this many points count as equal, as Word rounds what it reports
+const LENGTH_TOLERANCE = 0.1;
+
+/**
+ * Build a profile from template TextStyle entries (the json_object shape, or the styles of
+ * GET /api/Templates/{id}/styles): one rule per paragraph style name and per structural role.
+ * A template usually has several entries per style, from different paragraphs, so each rule
+ * takes the value most of them share for each property.
+ */
+export function buildStyleProfile(textStyles) {
+    const styles = Array.isArray(textStyles) ? textStyles : (textStyles && textStyles.styles);
+    if (!Array.isArray(styles)) {
+        throw new Error("A style profile is a list of text styles, or an object with a \"styles\" list");
+    }
+
+    const entries = styles.filter(entry => entry &&
+        !IGNORED_STYLE_TYPES.includes(entry.styleType) &&
+        getEntryRole(entry) !== DIRECT_FORMATTING_ROLE);
+
+    const byName = groupEntries(entries, entry => normalizeStyleName(getEntryStyleName(entry)));
+    const byRole = groupEntries(entries, getEntryRole);
+
+    const profile = { byName: new Map(), byRole: new Map(), entryCount: entries.length };
+    byName.forEach((group, key) => profile.byName.set(key, buildRule(getEntryStyleName(group[0]), group)));
+    byRole.forEach((group, role) => profile.byRole.set(role, buildRule(role, group)));
+
+    if (profile.byName.size === 0 && profile.byRole.size === 0) {
+        throw new Error("The profile has no paragraph styles to check against");
+    }
+    return profile;
+}
+
+/**
+ * Check the paragraphs in the body of every section against a profile, matching each to the
+ * rule for its style name, or else for its structural role. Returns a suggestions payload
+ * with one suggestion per paragraph that differs, and a summary
+ * { paragraphs, checked, unmatched } counting the paragraphs with text, those a rule covered
+ * and those no rule covered.
+ */
+export async function verifyAgainstProfile(wordContext, profile) {
+    const sections = wordContext.document.sections;
+    sections.load("items");
+    await wordContext.sync();
+
+    const paths = CHECKED_PROPERTIES.map(property => getSnapshotPath(TEXT_STYLE_OPERATIONS[property]));
+    const loads = ["items/text", "items/style", "items/styleBuiltIn"]
+        .concat(paths.filter((path, i) => paths.indexOf(path) === i).map(path => `items/${path}`))
+        .join(",");
+    const collections = sections.items.map(section => {
+        const paragraphs = section.body.paragraphs;
+        paragraphs.load(loads);
+        return paragraphs;
+    });
+    await wordContext.sync();
+
+    const suggestions = [];
+    const summary = { paragraphs: 0, checked: 0, unmatched: 0 };
+
+    collections.forEach((paragraphs, sectionIndex) => {
+        paragraphs.items.forEach((paragraph, paragraphIndex) => {
+            if (paragraph.text.trim() === "") {
+                return;
+            }
+            summary.paragraphs++;
+
+            const role = getStructuralRole(paragraph.style);
+            const rule = profile.byName.get(normalizeStyleName(paragraph.style)) ||
+                profile.byName.get(normalizeStyleName(paragraph.styleBuiltIn)) ||
+                profile.byRole.get(role);
+            if (!rule) {
+                summary.unmatched++;
+                return;
+            }
+            summary.checked++;
+
+            const suggestion = checkParagraph(paragraph, rule, {
+                contextKey: `Section:${sectionIndex}:Paragraph:${paragraphIndex}`,
+                sectionIndex: sectionIndex,
+                parentContext: "",
+                structuralRole: role,
+                tableIndex: -1,
+                rowIndex: -1,
+                cellIndex: -1,
+                paragraphIndex: paragraphIndex,
+                runIndex: -1,
+                sampleText: paragraph.text
+            });
+            if (suggestion) {
+                suggestions.push(suggestion);
+            }
+        });
+    });
+
+    return {
+        schemaVersion: SUGGESTIONS_SCHEMA_VERSION,
+        suggestions: {
+            document: suggestions,
+            styles: []
+        },
+        summary: summary
+    };
+}
+
+/**
+ * Derive a paragraph's structural role from its style name, as the backend does
+ */
+export function getStructuralRole(styleName) {
+    const name = styleName || "";
+    if (/Heading|Title/i.test(name)) return "Heading";
+    if (/TOC/i.test(name)) return "TableOfContents";
+    if (/Caption/i.test(name)) return "Caption";
+    if (/Quote/i.test(name)) return "Quote";
+    return "Body";
+}
+
+/**
+ * Compare a loaded paragraph with a rule. Returns a suggestion with an op per property
+ * that differs, or null when the paragraph follows the rule.
+ */
+function checkParagraph(paragraph, rule, formattingContext) {
+    const ops = [];
+    const changes = [];
+    const fields = [];
+    const current = {};
+
+    Object.keys(rule.values).forEach(property => {
+        const prop = TEXT_STYLE_OPERATIONS[property];
+        const wordValue = readPath(paragraph, getSnapshotPath(prop));
+        current[property] = toTextStyleValue(property, wordValue);
+
+        let expected;
+        try {
+            expected = validateOperation({ prop: prop, to: rule.values[property] });
+        } catch (error) {
+            // A profile value no op accepts cannot be suggested
+            return;
+        }
+        if (isSameValue(expected, wordValue)) {
+            return;
+        }
+
+        ops.push({ prop: prop, to: rule.values[property] });
+        fields.push(property);
+        changes.push(`${toFieldName(property)} should be ${formatValue(rule.values[property])} (found ${formatCurrentValue(current[property])})`);
+    });
+
+    if (ops.length === 0) {
+        return null;
+    }
+
+    const severity = getSeverity(fields);
+    return {
+        severity: severity,
+        json_object: [
+            // The document's values are kept so the preview can show what the ops change
+            Object.assign(current, {
+                fontFamily: current.fontFamily || "",
+                color: current.color || "",
+                styleType: "Paragraph",
+                basedOnStyle: paragraph.style,
+                formattingContext: formattingContext,
+                directFormatPatterns: []
+            })
+        ],
+        ops: ops,
+        message: `[${severity}] ${rule.name}: ${changes.join("; ")}`
+    };
+}
+
+/**
+ * Build a rule from the entries of one style or role: for each checked property, the value
+ * most entries share. Unset values, and values the extractor writes for inherited formatting
+ * (false, and lengths of 0), do not count, as with the styles created from a template.
+ */
+function buildRule(name, entries) {
+    const values = {};
+
+    CHECKED_PROPERTIES.forEach(property => {
+        const counts = new Map();
+        entries.forEach(entry => {
+            const value = entry[property];
+            if (value === undefined || value === null || value === "" || value === false ||
+                (INHERITED_WHEN_ZERO.includes(property) && value === 0)) {
+                return;
+            }
+            const key = JSON.stringify(value);
+            counts.set(key, { value: value, count: counts.has(key) ? counts.get(key).count + 1 : 1 });
+        });
+
+        let best = null;
+        counts.forEach(candidate => {
+            if (!best || candidate.count > best.count) best = candidate;
+        });
+        if (best) {
+            values[property] = best.value;
+        }
+    });
+
+    return { name: name, values: values, entryCount: entries.length };
+}
+
+/**
+ * Group profile entries by a key, leaving out entries without one
+ */
+function groupEntries(entries, getKey) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const key = getKey(entry);
+        if (!key) return;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(entry);
+    });
+    return groups;
+}
+
+/**
+ * Get the paragraph style a profile entry describes: its style ID, or its name without the
+ * paragraph suffix
+ */
+function getEntryStyleName(entry) {
+    return entry.basedOnStyle ||
+        (entry.formattingContext && entry.formattingContext.styleName) ||
+        (entry.name || "").replace(ENTRY_NAME_SUFFIX, "");
+}
+
+/**
+ * Get the structural role of a profile entry
+ */
+function getEntryRole(entry) {
+    return (entry.formattingContext && entry.formattingContext.structuralRole) || "";
+}
+
+/**
+ * Normalize a style name or ID for matching, so "Heading 1" matches "Heading1"
+ */
+function normalizeStyleName(name) {
+    return (name || "").replace(/[^a-z0-9]/gi, "").toLowerCase();
+}
+
+/**
+ * Compare an op's parsed value with what Word reports. Mixed formatting reads as null and
+ * never matches, so paragraphs with runs formatted differently are reported.
+ */
+function isSameValue(expected, wordValue) {
+    if (typeof expected === "number") {
+        return typeof wordValue === "number" && Math.abs(expected - wordValue) < LENGTH_TOLERANCE;
+    }
+    if (typeof expected === "string" && typeof wordValue === "string") {
+        return expected.toLowerCase() === wordValue.toLowerCase();
+    }
+    return expected === wordValue;
+}
+
+/**
+ * Convert a value Word reports into the TextStyle's units, for the preview
+ */
+function toTextStyleValue(property, wordValue) {
+    if (wordValue === null || wordValue === undefined) {
+        return null;
+    }
+    switch (property) {
+        case "color":
+            return wordValue.replace(/^#/, "");
+        case "lineSpacing":
+            return Math.round(wordValue / POINTS_PER_LINE * 100) / 100;
+        case "isUnderline":
+            return wordValue !== "None";
+        default:
+            return wordValue;
+    }
+}
+
+/**
+ * Read a "font/name" style path from a loaded paragraph
+ */
+function readPath(target, path) {
+    return path.split("/").reduce((value, key) => (value === null || value === undefined ? value : value[key]), target);
+}
+
+/**
+ * Rate a paragraph's differences as the backend does: font and colour first, then size,
+ * alignment, bold and italic
+ */
+function getSeverity(fields) {
+    if (fields.includes("fontFamily") || fields.includes("color")) return "High";
+    if (["fontSize", "alignment", "isBold", "isItalic"].some(field => fields.includes(field))) return "Medium";
+    return "Low";
+}
+
+/**
+ * Name a TextStyle property as the verification API does, e.g. fontSize as FontSize
+ */
+function toFieldName(property) {
+    return property.charAt(0).toUpperCase() + property.substring(1);
+}
+
+/**
+ * Format a property value for a suggestion message
+ */
+function formatValue(value) {
+    if (value === undefined || value === null || value === "") {
+        return "(not set)";
+    }
+    return String(value);
+}
+
+/**
+ * Format a value read from the document, where null means its runs differ
+ */
+function formatCurrentValue(value) {
+    return value === null ? "mixed formatting in its runs" : formatValue(value);
+}
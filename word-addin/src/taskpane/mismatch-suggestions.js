@@ -0,0 +1,156 @@
+/**
+ * Mismatch Suggestions
+ * Converts a verification result's MismatchDto list into reviewable suggestions
+ */
+
+import { TEXT_STYLE_OPERATIONS } from "./operations";
+import { parseRunIndex } from "./run-resolver";
+import { SUGGESTIONS_SCHEMA_VERSION } from "./suggestion-schema";
+
+// Mismatches on direct formatting carry the run's text as their sample text, not the paragraph's,
+// which anchoring looks for inside the paragraph
+const DIRECT_FORMATTING_ROLE = "DirectFormatting";
+
+/**
+ * Convert a VerificationResultDto into the add-in's suggestions format. Mismatches that no
+ * op can fix (a missing or unexpected style, a property without an op) are returned in
+ * unconvertible rather than dropped silently.
+ */
+export function convertVerificationResult(result) {
+    const documentSuggestions = [];
+    const unconvertible = [];
+
+    (result.mismatches || []).forEach(mismatch => {
+        const suggestion = convertMismatch(mismatch, result.id);
+        if (suggestion) {
+            documentSuggestions.push(suggestion);
+        } else {
+            unconvertible.push(mismatch);
+        }
+    });
+
+    return {
+        schemaVersion: SUGGESTIONS_SCHEMA_VERSION,
+        verification: {
+            id: result.id,
+            templateId: result.templateId,
+            templateName: result.templateName,
+            documentName: result.documentName,
+            verificationDate: result.verificationDate
+        },
+        suggestions: {
+            document: documentSuggestions,
+            styles: []
+        },
+        unconvertible: unconvertible
+    };
+}
+
+/**
+ * Convert a single MismatchDto into a suggestion, or null when none of its fields maps to an op
+ */
+export function convertMismatch(mismatch, verificationResultId) {
+    const expected = mismatch.expected || {};
+    const actual = mismatch.actual || {};
+    const ops = [];
+    const changes = [];
+
+    (mismatch.mismatchFields || []).forEach(field => {
+        const prop = TEXT_STYLE_OPERATIONS[field.charAt(0).toLowerCase() + field.substring(1)];
+        // Borders are spread over several fields and are not reported by the verification
+        if (!prop || prop === "paragraph.border") return;
+
+        const value = field in expected ? expected[field] : getDefaultValue(actual[field]);
+        if (value === undefined) return;
+
+        ops.push({ prop: prop, to: value });
+        changes.push(`${field} should be ${formatValue(value)} (found ${formatValue(actual[field])})`);
+    });
+
+    if (ops.length === 0) {
+        return null;
+    }
+
+    const isDirectFormatting = mismatch.structuralRole === DIRECT_FORMATTING_ROLE;
+    const formattingContext = Object.assign(parseContextKey(mismatch.contextKey), {
+        contextKey: mismatch.contextKey,
+        structuralRole: mismatch.structuralRole,
+        sampleText: mismatch.sampleText || ""
+    });
+
+    return {
+        mismatchId: mismatch.id,
+        verificationResultId: verificationResultId,
+        severity: mismatch.severity,
+        json_object: [
+            // The document's values are kept so the preview can show what the ops change
+            Object.assign(toTextStyleFields(actual), {
+                fontFamily: actual.FontFamily || "",
+                color: actual.Color || "",
+                styleType: "",
+                formattingContext: formattingContext,
+                directFormatPatterns: isDirectFormatting
+                    ? [{ context: mismatch.contextKey, sampleText: mismatch.sampleText }]
+                    : []
+            })
+        ],
+        ops: ops,
+        message: `${mismatch.severity ? `[${mismatch.severity}] ` : ""}${changes.join("; ")}`
+    };
+}
+
+/**
+ * Convert a mismatch's PascalCase properties into TextStyle fields, e.g. FontSize to fontSize
+ */
+function toTextStyleFields(properties) {
+    const fields = {};
+    Object.keys(properties).forEach(key => {
+        fields[key.charAt(0).toLowerCase() + key.substring(1)] = properties[key];
+    });
+    return fields;
+}
+
+/**
+ * Read the indexes from a backend context key such as "Section:0:Table:1:Row:2:Cell:0:Paragraph:3:Run:0"
+ * or "Header:0:Paragraph:1" into formattingContext fields
+ */
+export function parseContextKey(contextKey) {
+    const key = contextKey || "";
+    const readIndex = label => {
+        const match = key.match(new RegExp(`(?:^|:)${label}:(\\d+)`));
+        return match ? parseInt(match[1], 10) : -1;
+    };
+
+    const partMatch = key.match(/^(Header|Footer):/);
+    const sectionIndex = readIndex("Section");
+
+    return {
+        sectionIndex: sectionIndex >= 0 ? sectionIndex : 0,
+        parentContext: partMatch ? partMatch[1] : "",
+        tableIndex: readIndex("Table"),
+        rowIndex: readIndex("Row"),
+        cellIndex: readIndex("Cell"),
+        paragraphIndex: readIndex("Paragraph"),
+        runIndex: parseRunIndex(key)
+    };
+}
+
+/**
+ * The backend leaves default values (false, 0) out of the expected properties, so a field
+ * missing from them means its default. Text fields have no default to go back to.
+ */
+function getDefaultValue(actualValue) {
+    if (typeof actualValue === "boolean") return false;
+    if (typeof actualValue === "number") return 0;
+    return undefined;
+}
+
+/**
+ * Format a property value for a suggestion message
+ */
+function formatValue(value) {
+    if (value === undefined || value === null || value === "") {
+        return "(not set)";
+    }
+    return String(value);
+}
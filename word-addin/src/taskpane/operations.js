@@ -0,0 +1,822 @@
+/**
+ * Operation Registry
+ * Maps suggestion ops to the Word API properties they change, with value validation and unit conversion
+ */
+
+/* global DOMParser, XMLSerializer, Word */
+
+const WORD_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+// Built-in styles Word applies by identifier (paragraph.styleBuiltIn) whatever the UI language
+export const BUILT_IN_STYLES = [
+    "Normal",
+    "Heading1", "Heading2", "Heading3", "Heading4", "Heading5", "Heading6", "Heading7", "Heading8", "Heading9",
+    "Toc1", "Toc2", "Toc3", "Toc4", "Toc5", "Toc6", "Toc7", "Toc8", "Toc9",
+    "FootnoteText", "Header", "Footer", "Caption", "FootnoteReference", "EndnoteReference", "EndnoteText",
+    "Title", "Subtitle", "Hyperlink", "Strong", "Emphasis", "NoSpacing", "ListParagraph", "Quote",
+    "IntenseQuote", "SubtleEmphasis", "IntenseEmphasis", "SubtleReference", "IntenseReference",
+    "BookTitle", "Bibliography", "TocHeading", "TableGrid"
+];
+
+// Snapshot path for ops that edit the paragraph's OOXML, which is captured whole
+export const OOXML_SNAPSHOT_PATH = "ooxml";
+
+// Points per unit for the length suffixes accepted in op values
+const POINTS_PER_UNIT = {
+    "pt": 1,
+    "px": 0.75,
+    "in": 72,
+    "cm": 72 / 2.54,
+    "mm": 72 / 25.4,
+    "twip": 1 / 20,
+    "dxa": 1 / 20,
+    "hp": 1 / 2
+};
+
+// Word treats 12 points as single line spacing
+export const POINTS_PER_LINE = 12;
+
+// TextStyle lengths the extractor leaves at 0 when the formatting is inherited
+export const INHERITED_WHEN_ZERO = [
+    "fontSize", "spacingBefore", "spacingAfter", "indentationLeft", "indentationRight", "firstLineIndent", "lineSpacing"
+];
+
+const UNDERLINE_TYPES = [
+    "None", "Single", "Word", "Double", "Dotted", "Thick", "Dashed", "DotDash",
+    "DotDotDash", "Wave", "DottedHeavy", "DashedHeavy", "WaveHeavy", "WaveDouble"
+];
+
+const BORDER_STYLES = ["single", "double", "dotted", "dashed", "thick", "none", "nil"];
+
+// In the order the schema (CT_PBdr) requires the edges of w:pBdr
+const BORDER_DIRECTIONS = ["top", "left", "bottom", "right", "between", "bar"];
+
+// Children of w:pPr, in the order the schema (CT_PPr) requires them
+const PARAGRAPH_PROPERTY_ORDER = [
+    "pStyle", "keepNext", "keepLines", "pageBreakBefore", "framePr", "widowControl", "numPr",
+    "suppressLineNumbers", "pBdr", "shd", "tabs", "suppressAutoHyphens", "kinsoku", "wordWrap",
+    "overflowPunct", "topLinePunct", "autoSpaceDE", "autoSpaceDN", "bidi", "adjustRightInd",
+    "snapToGrid", "spacing", "ind", "contextualSpacing", "mirrorIndents", "suppressOverlap", "jc",
+    "textDirection", "textAlignment", "textboxTightWrap", "outlineLvl", "divId", "cnfStyle",
+    "rPr", "sectPr", "pPrChange"
+];
+
+// Word.ListNumbering values by the names accepted in op values, including the OOXML w:numFmt names
+const LIST_NUMBER_STYLES = {
+    "arabic": "Arabic",
+    "decimal": "Arabic",
+    "upperroman": "UpperRoman",
+    "lowerroman": "LowerRoman",
+    "upperletter": "UpperLetter",
+    "lowerletter": "LowerLetter",
+    "bullet": "Bullet"
+};
+
+const LIST_TYPES = {
+    "bullet": "Bullet",
+    "bulleted": "Bullet",
+    "number": "Number",
+    "numbered": "Number"
+};
+
+// Word lists have nine levels, 0 to 8
+const MAX_LIST_LEVEL = 8;
+
+/**
+ * Map TextStyle properties (the json_object entries) to the op that sets them
+ */
+export const TEXT_STYLE_OPERATIONS = {
+    fontFamily: "font.name",
+    fontSize: "font.size",
+    isBold: "font.bold",
+    isItalic: "font.italic",
+    isUnderline: "font.underline",
+    isStrikethrough: "font.strikeThrough",
+    isAllCaps: "font.allCaps",
+    isSmallCaps: "font.smallCaps",
+    highlighting: "font.highlightColor",
+    color: "font.color",
+    alignment: "paragraph.alignment",
+    spacingBefore: "paragraph.spaceBefore",
+    spacingAfter: "paragraph.spaceAfter",
+    indentationLeft: "paragraph.leftIndent",
+    indentationRight: "paragraph.rightIndent",
+    firstLineIndent: "paragraph.firstLineIndent",
+    lineSpacing: "paragraph.lineSpacing",
+    keepWithNext: "paragraph.keepWithNext",
+    keepTogether: "paragraph.keepTogether",
+    widowOrphanControl: "paragraph.widowControl",
+    borderStyle: "paragraph.border",
+    borderColor: "paragraph.border",
+    borderWidth: "paragraph.border",
+    borderDirections: "paragraph.border",
+    // listNumberStyle holds the numbering reference ("NumId:3:Level:0"), not a number format, so it has no op
+    listLevel: "list.level"
+};
+
+/**
+ * Parse a non-empty string value
+ */
+function parseString(value) {
+    if (typeof value !== "string" || value.trim() === "") {
+        throw new Error(`Expected a non-empty string but got "${value}"`);
+    }
+    return value.trim();
+}
+
+/**
+ * Parse a built-in style identifier, e.g. "Heading2"
+ */
+function parseBuiltInStyle(value) {
+    const identifier = parseString(value);
+    if (BUILT_IN_STYLES.indexOf(identifier) === -1) {
+        throw new Error(`Expected a built-in style identifier but got "${value}"`);
+    }
+    return identifier;
+}
+
+/**
+ * Parse a boolean value, accepting "true"/"false" and 1/0
+ */
+function parseBoolean(value) {
+    if (value === true || value === "true" || value === 1) return true;
+    if (value === false || value === "false" || value === 0) return false;
+    throw new Error(`Expected a boolean but got "${value}"`);
+}
+
+/**
+ * Parse the value of an op that is an action rather than a setting, which only true triggers
+ */
+function parseTrue(value) {
+    if (!parseBoolean(value)) {
+        throw new Error("Expected true; the op does nothing otherwise");
+    }
+    return true;
+}
+
+/**
+ * Parse a list level, 0 (the outermost) to 8
+ */
+function parseListLevel(value) {
+    const level = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof level !== "number" || Math.floor(level) !== level || level < 0 || level > MAX_LIST_LEVEL) {
+        throw new Error(`Expected a list level from 0 to ${MAX_LIST_LEVEL} but got "${value}"`);
+    }
+    return level;
+}
+
+/**
+ * Parse a list number style: a Word.ListNumbering name, its OOXML equivalent or "Bullet"
+ */
+function parseListNumberStyle(value) {
+    const numberStyle = LIST_NUMBER_STYLES[parseString(value).toLowerCase()];
+    if (!numberStyle) {
+        throw new Error(`Unknown list number style "${value}"`);
+    }
+    return numberStyle;
+}
+
+/**
+ * Parse a list type, "Bullet" or "Number"
+ */
+function parseListType(value) {
+    const listType = LIST_TYPES[parseString(value).toLowerCase()];
+    if (!listType) {
+        throw new Error(`Expected a list type of "Bullet" or "Number" but got "${value}"`);
+    }
+    return listType;
+}
+
+/**
+ * Parse a length in points. Plain numbers are points; strings may carry a unit suffix (e.g. "0.5in", "240twip")
+ */
+function parseLength(value) {
+    let points = value;
+
+    if (typeof value === "string") {
+        const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+        if (!match) {
+            throw new Error(`Expected a length but got "${value}"`);
+        }
+
+        const unit = match[2].toLowerCase() || "pt";
+        if (!(unit in POINTS_PER_UNIT)) {
+            throw new Error(`Unknown length unit "${unit}"`);
+        }
+        points = parseFloat(match[1]) * POINTS_PER_UNIT[unit];
+    }
+
+    if (typeof points !== "number" || !isFinite(points)) {
+        throw new Error(`Expected a length but got "${value}"`);
+    }
+    return Math.round(points * 100) / 100;
+}
+
+/**
+ * Parse a length that may not be negative
+ */
+function parsePositiveLength(value) {
+    const points = parseLength(value);
+    if (points < 0) {
+        throw new Error(`Length must not be negative but got "${value}"`);
+    }
+    return points;
+}
+
+/**
+ * Parse a font size in points
+ */
+function parseFontSize(value) {
+    const points = parseLength(value);
+    if (points < 1 || points > 1638) {
+        throw new Error(`Font size must be between 1 and 1638 points but got "${value}"`);
+    }
+    return points;
+}
+
+/**
+ * Parse line spacing. Numbers up to 10 are line multiples (1 = single), whether given as
+ * numbers or as strings without a unit; anything else is a length
+ */
+function parseLineSpacing(value) {
+    const lines = typeof value === "string" && /^\s*\d+(?:\.\d+)?\s*$/.test(value) ? Number(value) : value;
+    if (typeof lines === "number" && lines > 0 && lines <= 10) {
+        return lines * POINTS_PER_LINE;
+    }
+
+    const points = parsePositiveLength(value);
+    if (points === 0) {
+        throw new Error("Line spacing must be greater than zero");
+    }
+    return points;
+}
+
+/**
+ * Parse a hex color, adding the leading # Word expects
+ */
+function parseColor(value) {
+    const color = parseString(value);
+    const hex = color.startsWith("#") ? color.substring(1) : color;
+
+    if (!/^[0-9a-f]{6}$/i.test(hex)) {
+        throw new Error(`Expected a hex color but got "${value}"`);
+    }
+    return "#" + hex.toUpperCase();
+}
+
+/**
+ * Parse a highlight color. Empty values and "none" clear the highlight
+ */
+function parseHighlightColor(value) {
+    if (value === null || value === "" || (typeof value === "string" && value.toLowerCase() === "none")) {
+        return null;
+    }
+
+    const color = parseString(value);
+    return /^#?[0-9a-f]{6}$/i.test(color) ? parseColor(color) : color;
+}
+
+/**
+ * Parse a paragraph alignment, accepting the OOXML names as well
+ */
+function parseAlignment(value) {
+    const alignmentMap = {
+        "left": Word.Alignment.left,
+        "start": Word.Alignment.left,
+        "center": Word.Alignment.centered,
+        "centered": Word.Alignment.centered,
+        "right": Word.Alignment.right,
+        "end": Word.Alignment.right,
+        "justify": Word.Alignment.justified,
+        "justified": Word.Alignment.justified,
+        "both": Word.Alignment.justified
+    };
+
+    const alignment = alignmentMap[parseString(value).toLowerCase()];
+    if (!alignment) {
+        throw new Error(`Unknown alignment "${value}"`);
+    }
+    return alignment;
+}
+
+/**
+ * Parse an underline type. Booleans map to single/no underline
+ */
+function parseUnderline(value) {
+    if (typeof value === "boolean") {
+        return value ? "Single" : "None";
+    }
+
+    const underline = UNDERLINE_TYPES.find(type => type.toLowerCase() === parseString(value).toLowerCase());
+    if (!underline) {
+        throw new Error(`Unknown underline type "${value}"`);
+    }
+    return underline;
+}
+
+/**
+ * Parse a border definition: { style, color, width, directions }
+ */
+function parseBorder(value) {
+    if (!value || typeof value !== "object") {
+        throw new Error("Expected a border object with style, color, width and directions");
+    }
+
+    const style = (value.style || "single").toLowerCase();
+    if (!BORDER_STYLES.includes(style)) {
+        throw new Error(`Unknown border style "${value.style}"`);
+    }
+
+    const directions = (value.directions || "top,left,bottom,right")
+        .split(",")
+        .map(direction => direction.trim().toLowerCase())
+        .filter(direction => direction !== "");
+    const unknownDirection = directions.find(direction => !BORDER_DIRECTIONS.includes(direction));
+    if (unknownDirection) {
+        throw new Error(`Unknown border direction "${unknownDirection}"`);
+    }
+
+    return {
+        style: style === "none" ? "nil" : style,
+        color: value.color ? parseColor(value.color).substring(1) : "auto",
+        width: value.width !== undefined ? parsePositiveLength(value.width) : 0.5,
+        directions: directions
+    };
+}
+
+/**
+ * Find or create a child element. A created element goes where the schema order puts it
+ * among the existing children, or first when no order is given.
+ */
+function getOrCreateChild(xmlDocument, parent, localName, order = null) {
+    const children = Array.from(parent.childNodes).filter(node => node.namespaceURI === WORD_NAMESPACE);
+    let child = children.find(node => node.localName === localName);
+
+    if (!child) {
+        child = xmlDocument.createElementNS(WORD_NAMESPACE, "w:" + localName);
+        const position = order ? order.indexOf(localName) : -1;
+        const next = position === -1 ? parent.firstChild : children.find(node => order.indexOf(node.localName) > position);
+        parent.insertBefore(child, next || null);
+    }
+    return child;
+}
+
+/**
+ * Whether the Word API can set a paragraph property directly. Where it cannot, the
+ * property is written into the paragraph's OOXML.
+ */
+function isParagraphPropertySupported(property) {
+    return typeof Word !== "undefined" && Boolean(Word.Paragraph) && property in Word.Paragraph.prototype;
+}
+
+/**
+ * Load the list membership of a group of paragraphs in one sync. Returns
+ * { paragraph, list, level } per paragraph, where list is null for paragraphs outside a list.
+ */
+async function loadListItems(paragraphs) {
+    const pending = paragraphs.map(paragraph => {
+        const list = paragraph.listOrNullObject;
+        const listItem = paragraph.listItemOrNullObject;
+        list.load("id,levelTypes");
+        listItem.load("level");
+        return { paragraph: paragraph, list: list, listItem: listItem };
+    });
+    await paragraphs[0].context.sync();
+
+    return pending.map(item => ({
+        paragraph: item.paragraph,
+        list: item.list.isNullObject ? null : item.list,
+        level: item.listItem.isNullObject ? 0 : item.listItem.level
+    }));
+}
+
+/**
+ * Get the first paragraph of a group that is in a list, failing when none is
+ */
+function getFirstListItem(items) {
+    const first = items.find(item => item.list);
+    if (!first) {
+        throw new Error("None of the paragraphs is in a list");
+    }
+    return first;
+}
+
+/**
+ * Group list items by their list, with the levels each list uses: [{ list, levels }]
+ */
+function getListLevels(items) {
+    const lists = [];
+    items.filter(item => item.list).forEach(item => {
+        let entry = lists.find(candidate => candidate.list.id === item.list.id);
+        if (!entry) {
+            entry = { list: item.list, levels: [] };
+            lists.push(entry);
+        }
+        if (!entry.levels.includes(item.level)) {
+            entry.levels.push(item.level);
+        }
+    });
+    return lists;
+}
+
+/**
+ * Set the numbering of a list level: a Word.ListNumbering name, "Bullet", or "Number" for arabic numerals
+ */
+function setLevelNumberStyle(list, level, numberStyle) {
+    if (numberStyle === "Bullet") {
+        list.setLevelBullet(level, "Solid");
+    } else {
+        list.setLevelNumbering(level, numberStyle === "Number" ? "Arabic" : numberStyle);
+    }
+}
+
+/**
+ * Make the paragraphs of a group one new list, keeping each paragraph's level.
+ * Word only starts or joins lists with paragraphs outside one, so list items are detached first.
+ */
+async function startListWith(items) {
+    items.filter(item => item.list).forEach(item => item.paragraph.detachFromList());
+
+    const list = items[0].paragraph.startNewList();
+    list.load("id");
+    await items[0].paragraph.context.sync();
+
+    items[0].paragraph.listItem.level = items[0].level;
+    items.slice(1).forEach(item => item.paragraph.attachToList(list.id, item.level));
+    return list;
+}
+
+/**
+ * Create a handler for an on/off paragraph property that is set through paragraphFormat on
+ * styles, and on paragraphs through the API where Word has it, otherwise through OOXML
+ */
+function paragraphToggle(formatProperty, elementName) {
+    return {
+        parse: parseBoolean,
+        get paragraphPath() {
+            return isParagraphPropertySupported(formatProperty) ? formatProperty : OOXML_SNAPSHOT_PATH;
+        },
+        stylePath: "paragraphFormat/" + formatProperty,
+        apply: (paragraph, value) => {
+            paragraph[formatProperty] = value;
+        },
+        editOoxml: (xmlDocument, properties, value) => {
+            const element = getOrCreateChild(xmlDocument, properties, elementName, PARAGRAPH_PROPERTY_ORDER);
+            element.setAttributeNS(WORD_NAMESPACE, "w:val", value ? "1" : "0");
+        },
+        applyToStyle: (style, value) => {
+            style.paragraphFormat[formatProperty] = value;
+        }
+    };
+}
+
+/**
+ * Create a handler for a font property, which paragraphs and styles share
+ */
+function fontProperty(property, parse) {
+    const apply = (target, value) => {
+        target.font[property] = value;
+    };
+    return {
+        parse: parse,
+        apply: apply,
+        applyToStyle: apply,
+        paragraphPath: "font/" + property,
+        stylePath: "font/" + property
+    };
+}
+
+/**
+ * Create a handler for a paragraph format property
+ */
+function paragraphProperty(property, parse) {
+    return {
+        parse: parse,
+        paragraphPath: property,
+        stylePath: "paragraphFormat/" + property,
+        apply: (paragraph, value) => {
+            paragraph[property] = value;
+        },
+        applyToStyle: (style, value) => {
+            style.paragraphFormat[property] = value;
+        }
+    };
+}
+
+/**
+ * Registry of ops that can be applied to a paragraph (or range) and, under the
+ * "style." prefix, to a style definition. Each handler parses and validates the
+ * op value before handing it to Word.
+ */
+export const OPERATION_HANDLERS = {
+    "paragraph.style": {
+        parse: parseString,
+        paragraphPath: "style",
+        apply: (paragraph, value) => {
+            console.log(`Setting paragraph style to: "${value}"`);
+            paragraph.style = value;
+        }
+    },
+    // Locale-independent, for built-in styles the document has not defined yet
+    "paragraph.styleBuiltIn": {
+        parse: parseBuiltInStyle,
+        // The snapshot keeps the style's local name, which restores it just the same
+        paragraphPath: "style",
+        apply: (paragraph, value) => {
+            console.log(`Setting built-in paragraph style to: ${value}`);
+            paragraph.styleBuiltIn = value;
+        }
+    },
+    "paragraph.alignment": paragraphProperty("alignment", parseAlignment),
+    "paragraph.spaceBefore": paragraphProperty("spaceBefore", parsePositiveLength),
+    "paragraph.spaceAfter": paragraphProperty("spaceAfter", parsePositiveLength),
+    "paragraph.leftIndent": paragraphProperty("leftIndent", parseLength),
+    "paragraph.rightIndent": paragraphProperty("rightIndent", parseLength),
+    "paragraph.firstLineIndent": paragraphProperty("firstLineIndent", parseLength),
+    "paragraph.lineSpacing": paragraphProperty("lineSpacing", parseLineSpacing),
+    "paragraph.keepWithNext": paragraphToggle("keepWithNext", "keepNext"),
+    "paragraph.keepTogether": paragraphToggle("keepTogether", "keepLines"),
+    "paragraph.widowControl": paragraphToggle("widowControl", "widowControl"),
+    // Word has no paragraph border API, so borders are always written into the OOXML
+    "paragraph.border": {
+        parse: parseBorder,
+        paragraphPath: OOXML_SNAPSHOT_PATH,
+        editOoxml: (xmlDocument, properties, border) => {
+            const borders = getOrCreateChild(xmlDocument, properties, "pBdr", PARAGRAPH_PROPERTY_ORDER);
+            border.directions.forEach(direction => {
+                const edge = getOrCreateChild(xmlDocument, borders, direction, BORDER_DIRECTIONS);
+                edge.setAttributeNS(WORD_NAMESPACE, "w:val", border.style);
+                edge.setAttributeNS(WORD_NAMESPACE, "w:color", border.color);
+                // Border widths are stored in eighths of a point
+                edge.setAttributeNS(WORD_NAMESPACE, "w:sz", String(Math.round(border.width * 8)));
+                edge.setAttributeNS(WORD_NAMESPACE, "w:space", "1");
+            });
+        }
+    },
+    "font.name": fontProperty("name", parseString),
+    "font.size": fontProperty("size", parseFontSize),
+    "font.color": fontProperty("color", parseColor),
+    "font.bold": fontProperty("bold", parseBoolean),
+    "font.italic": fontProperty("italic", parseBoolean),
+    "font.underline": fontProperty("underline", parseUnderline),
+    "font.strikeThrough": fontProperty("strikeThrough", parseBoolean),
+    "font.allCaps": fontProperty("allCaps", parseBoolean),
+    "font.smallCaps": fontProperty("smallCaps", parseBoolean),
+    "font.highlightColor": fontProperty("highlightColor", parseHighlightColor),
+    // List ops apply to all the paragraphs of a suggestion together, as one list
+    "list.level": {
+        parse: parseListLevel,
+        paragraphPath: OOXML_SNAPSHOT_PATH,
+        applyToGroup: async (paragraphs, level) => {
+            const items = await loadListItems(paragraphs);
+            getFirstListItem(items);
+            items.filter(item => item.list).forEach(item => {
+                item.paragraph.listItem.level = level;
+            });
+        }
+    },
+    "list.numberStyle": {
+        parse: parseListNumberStyle,
+        // Numbering belongs to the list definition, so the change shows on every paragraph of the list
+        // and the paragraph's snapshot cannot undo it
+        paragraphPath: OOXML_SNAPSHOT_PATH,
+        revertible: false,
+        applyToGroup: async (paragraphs, numberStyle) => {
+            const items = await loadListItems(paragraphs);
+            getFirstListItem(items);
+            getListLevels(items).forEach(({ list, levels }) => {
+                levels.forEach(level => setLevelNumberStyle(list, level, numberStyle));
+            });
+        }
+    },
+    "list.type": {
+        parse: parseListType,
+        paragraphPath: OOXML_SNAPSHOT_PATH,
+        // Starts a new list when the paragraphs are in none, and otherwise changes the list definition
+        replayable: false,
+        revertible: false,
+        applyToGroup: async (paragraphs, listType) => {
+            const items = await loadListItems(paragraphs);
+            if (!items.some(item => item.list)) {
+                setLevelNumberStyle(await startListWith(items), 0, listType);
+                return;
+            }
+
+            getListLevels(items).forEach(({ list, levels }) => {
+                levels
+                    .filter(level => list.levelTypes[level] !== listType)
+                    .forEach(level => setLevelNumberStyle(list, level, listType));
+            });
+        }
+    },
+    "list.restart": {
+        parse: parseTrue,
+        paragraphPath: OOXML_SNAPSHOT_PATH,
+        replayable: false,
+        revertible: false,
+        applyToGroup: async (paragraphs) => {
+            const items = await loadListItems(paragraphs);
+            getFirstListItem(items);
+
+            // A new list starts with default formats; keep whether each level was bulleted or numbered
+            const levelTypes = {};
+            items.filter(item => item.list && !(item.level in levelTypes)).forEach(item => {
+                levelTypes[item.level] = item.list.levelTypes[item.level] === "Bullet" ? "Bullet" : "Number";
+            });
+
+            const list = await startListWith(items);
+            Object.keys(levelTypes).forEach(key => {
+                const level = Number(key);
+                setLevelNumberStyle(list, level, levelTypes[level]);
+                if (levelTypes[level] === "Number") {
+                    list.setLevelStartingNumber(level, 1);
+                }
+            });
+        }
+    },
+    "list.join": {
+        parse: parseTrue,
+        paragraphPath: OOXML_SNAPSHOT_PATH,
+        replayable: false,
+        applyToGroup: async (paragraphs) => {
+            const items = await loadListItems(paragraphs);
+            const target = getFirstListItem(items);
+
+            items.filter(item => !item.list || item.list.id !== target.list.id).forEach(item => {
+                if (item.list) {
+                    item.paragraph.detachFromList();
+                }
+                item.paragraph.attachToList(target.list.id, item.level);
+            });
+        }
+    }
+};
+
+/**
+ * Ops that only make sense on a style definition
+ */
+const STYLE_ONLY_HANDLERS = {
+    "style.basedOn": {
+        parse: parseString,
+        stylePath: "baseStyle",
+        applyToStyle: (style, value) => {
+            style.baseStyle = value;
+        }
+    },
+    "style.isHidden": {
+        parse: parseBoolean,
+        stylePath: "visibility",
+        applyToStyle: (style, value) => {
+            // Word exposes the inverse: whether the style shows in the gallery and Styles pane
+            style.visibility = !value;
+        }
+    }
+};
+
+/**
+ * Look up the handler for a style op. "style.font.bold" and "style.paragraph.spaceAfter"
+ * reuse the "font.bold" and "paragraph.spaceAfter" handlers.
+ */
+function getStyleHandler(prop) {
+    if (STYLE_ONLY_HANDLERS[prop]) {
+        return STYLE_ONLY_HANDLERS[prop];
+    }
+    return prop.startsWith("style.") ? OPERATION_HANDLERS[prop.substring("style.".length)] : undefined;
+}
+
+/**
+ * Apply a specific operation to a paragraph
+ */
+export async function applyOperation(paragraph, operation) {
+    console.log(`Applying operation: ${operation.prop} = ${JSON.stringify(operation.to)}`);
+
+    const handler = OPERATION_HANDLERS[operation.prop];
+    if (!handler || !(handler.apply || handler.editOoxml)) {
+        throw new Error(`Unknown operation: ${operation.prop}`);
+    }
+    if (isOoxmlOperation(operation)) {
+        throw new Error(`${operation.prop} is written into the paragraph's OOXML; apply it with applyOoxmlOperations`);
+    }
+
+    const value = parseOperationValue(handler, operation);
+    await handler.apply(paragraph, value);
+}
+
+/**
+ * Whether an op can be run again after a failed sync without applying it twice. Ops that
+ * set an absolute value can; those that build a new list or move paragraphs between lists cannot.
+ */
+export function isReplayableOperation(operation) {
+    const handler = OPERATION_HANDLERS[operation.prop];
+    return !handler || handler.replayable !== false;
+}
+
+/**
+ * Whether reverting can undo an op from the snapshots taken before it. Ops that change a list
+ * definition rather than the paragraphs cannot be undone.
+ */
+export function isRevertibleOperation(operation) {
+    const handler = OPERATION_HANDLERS[operation.prop];
+    return !handler || handler.revertible !== false;
+}
+
+/**
+ * Whether an op is written into the paragraph's OOXML rather than set through the API
+ */
+export function isOoxmlOperation(operation) {
+    const handler = OPERATION_HANDLERS[operation.prop];
+    return Boolean(handler && handler.editOoxml) && handler.paragraphPath === OOXML_SNAPSHOT_PATH;
+}
+
+/**
+ * Write OOXML ops into a paragraph's OOXML, read beforehand, and queue one rewrite of the
+ * paragraph with it. Nothing is synced here. The rewrite replaces the paragraph, so the
+ * paragraph proxy and ranges inside it are not to be used afterwards.
+ */
+export function applyOoxmlOperations(paragraph, ooxml, operations) {
+    const xmlDocument = new DOMParser().parseFromString(ooxml, "application/xml");
+    const paragraphElement = xmlDocument.getElementsByTagNameNS(WORD_NAMESPACE, "p")[0];
+    if (!paragraphElement) {
+        throw new Error("Could not read the paragraph's OOXML");
+    }
+
+    const properties = getOrCreateChild(xmlDocument, paragraphElement, "pPr");
+    operations.forEach(operation => {
+        console.log(`Writing operation into the paragraph's OOXML: ${operation.prop} = ${JSON.stringify(operation.to)}`);
+        const handler = OPERATION_HANDLERS[operation.prop];
+        handler.editOoxml(xmlDocument, properties, parseOperationValue(handler, operation));
+    });
+    paragraph.insertOoxml(new XMLSerializer().serializeToString(xmlDocument), "Replace");
+}
+
+/**
+ * Whether an op applies to the paragraphs of a suggestion together rather than to each one
+ */
+export function isGroupOperation(operation) {
+    const handler = OPERATION_HANDLERS[operation.prop];
+    return Boolean(handler && handler.applyToGroup);
+}
+
+/**
+ * Apply a group operation to the paragraphs of a suggestion, in document order
+ */
+export async function applyGroupOperation(paragraphs, operation) {
+    console.log(`Applying operation to ${paragraphs.length} paragraph(s): ${operation.prop} = ${JSON.stringify(operation.to)}`);
+
+    const handler = OPERATION_HANDLERS[operation.prop];
+    if (!handler || !handler.applyToGroup) {
+        throw new Error(`Unknown group operation: ${operation.prop}`);
+    }
+
+    const value = parseOperationValue(handler, operation);
+    await handler.applyToGroup(paragraphs, value);
+}
+
+/**
+ * Apply a specific operation to a style definition
+ */
+export async function applyStyleOperation(style, operation) {
+    console.log(`Applying style operation: ${operation.prop} = ${JSON.stringify(operation.to)}`);
+
+    const handler = getStyleHandler(operation.prop);
+    if (!handler || !handler.applyToStyle) {
+        throw new Error(`Unknown style operation: ${operation.prop}`);
+    }
+
+    const value = parseOperationValue(handler, operation);
+    await handler.applyToStyle(style, value);
+}
+
+/**
+ * Check that an op is known and its value is valid without touching the document
+ */
+export function validateOperation(operation, forStyle = false) {
+    const handler = forStyle ? getStyleHandler(operation.prop) : OPERATION_HANDLERS[operation.prop];
+    if (!handler || !(forStyle ? handler.applyToStyle : handler.apply || handler.editOoxml || handler.applyToGroup)) {
+        throw new Error(`Unknown ${forStyle ? "style " : ""}operation: ${operation.prop}`);
+    }
+    return parseOperationValue(handler, operation);
+}
+
+/**
+ * Get the property path an op changes on a paragraph or style (e.g. "font/color"),
+ * so its previous value can be snapshotted. Returns null for unknown ops.
+ */
+export function getSnapshotPath(prop, forStyle = false) {
+    const handler = forStyle ? getStyleHandler(prop) : OPERATION_HANDLERS[prop];
+    if (!handler) {
+        return null;
+    }
+    return (forStyle ? handler.stylePath : handler.paragraphPath) || null;
+}
+
+/**
+ * Parse an op value, naming the op in any validation error
+ */
+function parseOperationValue(handler, operation) {
+    try {
+        return handler.parse(operation.to);
+    } catch (error) {
+        throw new Error(`Invalid value for ${operation.prop}: ${error.message}`);
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * Review Comments
+ * Hands suggestions to the author as Word comments on their targets instead of applying them,
+ * and reads those comments back so they are recognised on reload and can be applied later
+ */
+
+/* global Office */
+
+import { isStyleReferenceOperation, resolveStyleOperation, syncGroupSteps, syncRewriteSteps } from "./apply-plan";
+import {
+    applyGroupOperation,
+    applyOperation,
+    isGroupOperation,
+    isOoxmlOperation,
+    isReplayableOperation,
+    validateOperation
+} from "./operations";
+import { isRunOperation } from "./run-resolver";
+import { resolveStyles } from "./style-resolver";
+import { syncSteps } from "./word-executor";
+
+const COMMENT_HEADING = "Style suggestion: ";
+const CHANGES_HEADING = "Proposed changes:";
+
+// The last line of our comments, naming the suggestion they were made for
+const COMMENT_MARKER = /\[style-suggestions ref=([^\]\s]+)\]/;
+
+// "font.color = "1F3864"": the op value is JSON, so it reads back as it was written
+const OP_LINE = /^([\w.]+) = (.+)$/;
+
+/**
+ * Whether Word supports comments through the API (WordApi 1.4)
+ */
+export function isCommentingSupported() {
+    return Office.context.requirements.isSetSupported("WordApi", "1.4");
+}
+
+/**
+ * Get the key that ties a comment to its suggestion: the mismatch for suggestions from a
+ * verification, otherwise a hash of the message, ops and targets
+ */
+export function getSuggestionKey(suggestion) {
+    if (suggestion.mismatchId && suggestion.verificationResultId) {
+        return `mismatch-${suggestion.verificationResultId}-${suggestion.mismatchId}`;
+    }
+    const targets = (suggestion.json_object || []).map(obj => obj.formattingContext.contextKey || obj.formattingContext.paragraphIndex);
+    return `s-${hashString(JSON.stringify([suggestion.message, suggestion.ops, targets]))}`;
+}
+
+/**
+ * Write a suggestion as comment text: its message, the ops one per line and the marker
+ */
+export function formatCommentText(suggestion) {
+    return [
+        COMMENT_HEADING + suggestion.message,
+        "",
+        CHANGES_HEADING,
+        ...suggestion.ops.map(op => `${op.prop} = ${JSON.stringify(op.to)}`),
+        "",
+        `[style-suggestions ref=${getSuggestionKey(suggestion)}]`
+    ].join("\n");
+}
+
+/**
+ * Read a comment written by formatCommentText back into { key, message, ops }.
+ * Returns null for other comments.
+ */
+export function parseCommentText(content) {
+    const marker = (content || "").match(COMMENT_MARKER);
+    if (!marker) {
+        return null;
+    }
+
+    const lines = content.split(/\r\n|\r|\n/).map(line => line.trim());
+    const messageLine = lines.find(line => line.startsWith(COMMENT_HEADING));
+    const ops = [];
+    let inChanges = false;
+
+    lines.forEach(line => {
+        if (line === CHANGES_HEADING) {
+            inChanges = true;
+            return;
+        }
+        const match = inChanges ? line.match(OP_LINE) : null;
+        if (!match) {
+            inChanges = false;
+            return;
+        }
+
+        try {
+            ops.push({ prop: match[1], to: JSON.parse(match[2]) });
+        } catch (error) {
+            console.warn(`Ignoring unreadable op in review comment: ${line}`);
+        }
+    });
+
+    return {
+        key: marker[1],
+        message: messageLine ? messageLine.substring(COMMENT_HEADING.length) : "",
+        ops: ops
+    };
+}
+
+/**
+ * Insert a comment on every target of each plan, from planSuggestions. Ops that cannot be
+ * applied in this document are still listed, as the author may fix them by hand. Each plan
+ * gets a sync of its own: inserting is not safe to replay like an op.
+ * Returns { plan, commented, error } per plan.
+ */
+export async function insertReviewComments(wordContext, plans) {
+    const results = [];
+
+    for (const plan of plans) {
+        if (plan.targets.length === 0) {
+            results.push({ plan: plan, commented: 0, error: new Error(plan.error || "No target was found to comment on") });
+            continue;
+        }
+
+        try {
+            const text = formatCommentText(plan.suggestion);
+            plan.targets.forEach(planned => getCommentRange(planned).insertComment(text));
+            await wordContext.sync();
+            results.push({ plan: plan, commented: plan.targets.length, error: null });
+        } catch (error) {
+            results.push({ plan: plan, commented: 0, error: error });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * List the comments in the document body written by this add-in:
+ * { comment, id, resolved, key, message, ops }
+ */
+export async function findReviewComments(wordContext) {
+    const comments = wordContext.document.body.getComments();
+    comments.load("items/id,items/content,items/resolved");
+    await wordContext.sync();
+
+    return comments.items
+        .map(comment => {
+            const parsed = parseCommentText(comment.content);
+            return parsed && Object.assign({ comment: comment, id: comment.id, resolved: comment.resolved }, parsed);
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Apply the ops of the open comments with a key to the ranges they are anchored to, for
+ * suggestions that are not loaded. The comments are resolved when any op went through.
+ * Returns { applied, commentCount, failedOps } with failedOps as [{ op, error }].
+ */
+export async function applyReviewComments(wordContext, key) {
+    const comments = (await findReviewComments(wordContext)).filter(found => found.key === key && !found.resolved);
+    if (comments.length === 0) {
+        throw new Error("No open review comment was found for this suggestion");
+    }
+
+    const { ops, failedOps } = await prepareCommentOperations(wordContext, comments[0].ops);
+    const ranges = comments.map(found => found.comment.getRange());
+    const paragraphs = ranges.map(range => range.paragraphs.getFirst());
+
+    const steps = ops.filter(op => !isGroupOperation(op) && !isOoxmlOperation(op)).map(op => ({
+        op: op,
+        queue: async () => {
+            // Font ops change the commented text; paragraph ops its paragraph
+            for (let i = 0; i < ranges.length; i++) {
+                await applyOperation(isRunOperation(op) ? ranges[i] : paragraphs[i], op);
+            }
+        }
+    }));
+    const groupSteps = ops.filter(isGroupOperation).map(op => ({
+        op: op,
+        replayable: isReplayableOperation(op),
+        queue: () => applyGroupOperation(paragraphs, op)
+    }));
+
+    // Ops written into the OOXML rewrite each paragraph once the others are through
+    const ooxmlOps = ops.filter(isOoxmlOperation);
+    const rewriteSteps = ooxmlOps.length === 0 ? [] : paragraphs.map(paragraph => ({ op: ooxmlOps[0], ops: ooxmlOps, paragraph: paragraph, replayable: false }));
+
+    const outcomes = (await syncSteps(wordContext, steps))
+        .concat(await syncGroupSteps(wordContext, groupSteps))
+        .concat(await syncRewriteSteps(wordContext, rewriteSteps));
+    outcomes.filter(outcome => outcome.error).forEach(outcome => (outcome.step.ops || [outcome.step.op]).forEach(op => {
+        failedOps.push({ op: op, error: outcome.error });
+    }));
+
+    const applied = outcomes.some(outcome => !outcome.error);
+    if (applied) {
+        await resolveComments(wordContext, comments);
+    }
+    return { applied: applied, commentCount: comments.length, failedOps: failedOps };
+}
+
+/**
+ * Mark the open comments with a key as resolved. Returns how many there were.
+ */
+export async function resolveReviewComments(wordContext, key) {
+    const comments = (await findReviewComments(wordContext)).filter(found => found.key === key && !found.resolved);
+    await resolveComments(wordContext, comments);
+    return comments.length;
+}
+
+/**
+ * Resolve comments. Rewriting a paragraph's OOXML can remove its comments, which is no error here.
+ */
+async function resolveComments(wordContext, comments) {
+    if (comments.length === 0) {
+        return;
+    }
+
+    try {
+        comments.forEach(found => {
+            found.comment.resolved = true;
+        });
+        await wordContext.sync();
+    } catch (error) {
+        console.warn("Could not resolve the review comments:", error);
+    }
+}
+
+/**
+ * Validate the ops read from a comment and resolve the styles they name, as planning does
+ * for loaded suggestions. Returns the ops to apply and the failures as [{ op, error }].
+ */
+async function prepareCommentOperations(wordContext, commentOps) {
+    const failedOps = [];
+    const validOps = commentOps.filter(op => {
+        try {
+            validateOperation(op);
+            return true;
+        } catch (error) {
+            failedOps.push({ op: op, error: error });
+            return false;
+        }
+    });
+
+    const styleIds = validOps.filter(isStyleReferenceOperation).map(op => op.to.trim());
+    const resolutions = styleIds.length > 0 ? await resolveStyles(wordContext, styleIds) : new Map();
+
+    const ops = [];
+    validOps.forEach(op => {
+        if (!isStyleReferenceOperation(op)) {
+            ops.push(op);
+            return;
+        }
+
+        const resolution = resolutions.get(op.to.trim());
+        const resolved = resolveStyleOperation(op, resolution);
+        if (resolved) {
+            ops.push(resolved);
+        } else {
+            failedOps.push({ op: op, error: new Error(`Style "${resolution.styleId}" does not exist in this document`) });
+        }
+    });
+
+    return { ops: ops, failedOps: failedOps };
+}
+
+/**
+ * Get the range a planned target's comment is anchored to: the runs its font ops target,
+ * or the paragraph's text
+ */
+function getCommentRange(planned) {
+    if (planned.runOps.length > 0 && planned.runRanges.length > 0) {
+        return planned.runRanges[0].expandTo(planned.runRanges[planned.runRanges.length - 1]);
+    }
+    return planned.paragraph.getRange("Content");
+}
+
+/**
+ * Hash a string into a short base-36 key (djb2)
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
@@ -0,0 +1,123 @@
+/**
+ * Review Decisions
+ * Reports apply, skip, reject and revert decisions on verification mismatches back to the API
+ */
+
+import { getReviewerName, updateMismatchResolutions } from "./verification-api";
+
+// Open leaves a mismatch undecided, for suggestions skipped to come back to later
+export const RESOLUTIONS = {
+    OPEN: "Open",
+    ACCEPTED: "Accepted",
+    REJECTED: "Rejected",
+    REVERTED: "Reverted"
+};
+
+// Decisions not yet accepted by the API, oldest first
+let pendingDecisions = [];
+let sendChain = Promise.resolve();
+
+/**
+ * Queue a decision on a suggestion. Returns false for suggestions that did not come from a
+ * verification mismatch, which have nothing to report.
+ */
+export function recordDecision(suggestion, resolution, reason) {
+    if (!suggestion || !suggestion.mismatchId || !suggestion.verificationResultId) {
+        return false;
+    }
+
+    pendingDecisions.push({
+        verificationResultId: suggestion.verificationResultId,
+        mismatchId: suggestion.mismatchId,
+        resolution: resolution,
+        reason: (reason || "").trim().substring(0, 500),
+        resolvedBy: getReviewerName(),
+        resolvedOn: new Date().toISOString()
+    });
+    return true;
+}
+
+/**
+ * Number of decisions waiting to be sent
+ */
+export function getPendingDecisionCount() {
+    return pendingDecisions.length;
+}
+
+/**
+ * Get a copy of the queued decisions, for saving them with the review session
+ */
+export function getPendingDecisions() {
+    return pendingDecisions.slice();
+}
+
+/**
+ * Queue decisions saved by an earlier session ahead of any made since
+ */
+export function restorePendingDecisions(decisions) {
+    pendingDecisions = (decisions || []).concat(pendingDecisions);
+}
+
+/**
+ * Send the queued decisions, one request per verification result. Decisions that could not be
+ * delivered stay queued for the next call, ahead of newer ones.
+ */
+export function sendDecisions() {
+    sendChain = sendChain.then(sendPendingDecisions, sendPendingDecisions);
+    return sendChain;
+}
+
+/**
+ * Send what is queued now. Returns the number of decisions sent.
+ */
+async function sendPendingDecisions() {
+    const batch = pendingDecisions;
+    pendingDecisions = [];
+
+    const byResult = new Map();
+    batch.forEach(decision => {
+        if (!byResult.has(decision.verificationResultId)) {
+            byResult.set(decision.verificationResultId, []);
+        }
+        byResult.get(decision.verificationResultId).push(decision);
+    });
+
+    const failed = [];
+    let firstError = null;
+
+    for (const [verificationResultId, decisions] of byResult) {
+        try {
+            await updateMismatchResolutions(verificationResultId, decisions.map(decision => ({
+                mismatchId: decision.mismatchId,
+                resolution: decision.resolution,
+                reason: decision.reason,
+                resolvedBy: decision.resolvedBy,
+                resolvedOn: decision.resolvedOn
+            })));
+        } catch (error) {
+            // A rejected request (unknown result or mismatch) would be rejected again, so only
+            // network and server errors are retried
+            if (isRetryable(error)) {
+                failed.push(...decisions);
+            } else {
+                console.warn(`Dropped ${decisions.length} review decisions for verification #${verificationResultId}:`, error);
+            }
+            firstError = firstError || error;
+        }
+    }
+
+    if (failed.length > 0) {
+        pendingDecisions = failed.concat(pendingDecisions);
+    }
+    if (firstError) {
+        throw firstError;
+    }
+    return batch.length;
+}
+
+/**
+ * Whether a failed request may succeed when sent again
+ */
+function isRetryable(error) {
+    return !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+}
@@ -0,0 +1,174 @@
+/**
+ * Review Session
+ * Keeps the loaded suggestions and the decisions on them in the document's settings, so a
+ * review can be resumed after Word is closed, along with the highlighting the overlay replaced
+ */
+
+/* global Office */
+
+const SESSIONS_SETTING = "styleSuggestions.reviewSessions";
+const PENDING_DECISIONS_SETTING = "styleSuggestions.pendingDecisions";
+const OVERLAY_MARKS_SETTING = "styleSuggestions.overlayMarks";
+
+// Suggestions loaded from a JSON file have no verification id and share one slot
+const FILE_SESSION_KEY = "file";
+
+// Older sessions are dropped beyond this, to keep the document small
+const MAX_SESSIONS = 5;
+
+// Decisions often come in quick succession; they are written once things settle
+const SAVE_DELAY_MS = 500;
+
+let queuedSave = null;
+let saveTimer = null;
+
+/**
+ * Get the key a session is saved under: its verification id, or the file slot
+ */
+export function getSessionKey(verification) {
+    return verification && verification.id !== undefined ? `verification:${verification.id}` : FILE_SESSION_KEY;
+}
+
+/**
+ * List the sessions saved in the document, most recent first
+ */
+export function getSavedSessions() {
+    const sessions = readSetting(SESSIONS_SETTING) || {};
+    return Object.keys(sessions)
+        .map(key => sessions[key])
+        .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+}
+
+/**
+ * Get the review decisions that had not reached the API when the document was last saved
+ */
+export function getSavedPendingDecisions() {
+    return readSetting(PENDING_DECISIONS_SETTING) || [];
+}
+
+/**
+ * Save a session ({ key, verification, suggestions, currentQueue, currentSuggestionIndex,
+ * decisions }) and the unsent review decisions. Writes are delayed and merged; the latest
+ * state wins.
+ */
+export function saveSession(session, pendingDecisions) {
+    queuedSave = { session: session, pendingDecisions: pendingDecisions || [] };
+
+    if (saveTimer === null) {
+        saveTimer = setTimeout(writeQueuedSave, SAVE_DELAY_MS);
+    }
+}
+
+/**
+ * Remove a saved session from the document
+ */
+export function removeSession(key) {
+    const sessions = readSetting(SESSIONS_SETTING) || {};
+    delete sessions[key];
+    Office.context.document.settings.set(SESSIONS_SETTING, sessions);
+    return persistSettings();
+}
+
+/**
+ * Get the overlay marks left in the document by a task pane that closed with the overlay on
+ */
+export function getSavedOverlayMarks() {
+    return readSetting(OVERLAY_MARKS_SETTING) || [];
+}
+
+/**
+ * Save the paragraphs the overlay has marked and their original highlighting, so it can be
+ * restored even if the task pane closes first. Written at once rather than delayed.
+ */
+export function saveOverlayMarks(marks) {
+    const settings = Office.context.document.settings;
+    if (marks.length > 0) {
+        settings.set(OVERLAY_MARKS_SETTING, marks);
+    } else {
+        settings.remove(OVERLAY_MARKS_SETTING);
+    }
+
+    return persistSettings().catch(error => {
+        console.warn("Could not save the overlay marks in the document:", error);
+    });
+}
+
+/**
+ * Convert the session history into plain data. Suggestions are referenced by queue and index.
+ */
+export function serializeDecisions(processedSuggestions) {
+    return processedSuggestions.map(entry => {
+        const saved = Object.assign({}, entry);
+        delete saved.suggestion;
+        saved.timestamp = entry.timestamp ? entry.timestamp.toISOString() : null;
+        saved.revertedAt = entry.revertedAt ? entry.revertedAt.toISOString() : undefined;
+        return saved;
+    });
+}
+
+/**
+ * Rebuild the session history from saved decisions, dropping any that no longer point at a
+ * suggestion
+ */
+export function restoreDecisions(savedDecisions, queues) {
+    return (savedDecisions || [])
+        .filter(saved => queues[saved.queue] && queues[saved.queue][saved.index])
+        .map(saved => Object.assign({}, saved, {
+            suggestion: queues[saved.queue][saved.index],
+            timestamp: saved.timestamp ? new Date(saved.timestamp) : new Date(),
+            revertedAt: saved.revertedAt ? new Date(saved.revertedAt) : undefined
+        }));
+}
+
+/**
+ * Write the latest queued session to the document settings
+ */
+function writeQueuedSave() {
+    const { session, pendingDecisions } = queuedSave;
+    queuedSave = null;
+    saveTimer = null;
+
+    const sessions = readSetting(SESSIONS_SETTING) || {};
+    sessions[session.key] = Object.assign({}, session, { savedAt: new Date().toISOString() });
+
+    // Keep the most recent sessions only
+    Object.keys(sessions)
+        .sort((a, b) => new Date(sessions[b].savedAt) - new Date(sessions[a].savedAt))
+        .slice(MAX_SESSIONS)
+        .forEach(key => delete sessions[key]);
+
+    const settings = Office.context.document.settings;
+    settings.set(SESSIONS_SETTING, sessions);
+    settings.set(PENDING_DECISIONS_SETTING, pendingDecisions);
+
+    persistSettings().catch(error => {
+        console.warn("Could not save the review session in the document:", error);
+    });
+}
+
+/**
+ * Read a setting, treating unreadable values as missing
+ */
+function readSetting(name) {
+    try {
+        return Office.context.document.settings.get(name);
+    } catch (error) {
+        console.warn(`Could not read the ${name} setting:`, error);
+        return null;
+    }
+}
+
+/**
+ * Save the settings into the document. They reach the file when the document itself is saved.
+ */
+function persistSettings() {
+    return new Promise((resolve, reject) => {
+        Office.context.document.settings.saveAsync(result => {
+            if (result.status === Office.AsyncResultStatus.Succeeded) {
+                resolve();
+            } else {
+                reject(new Error(result.error.message));
+            }
+        });
+    });
+}
@@ -0,0 +1,194 @@
+/**
+ * Run Resolver
+ * Narrows a suggestion target from its paragraph to the runs that carry the direct formatting
+ */
+
+/* global DOMParser */
+
+const WORD_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+// Word rejects search strings longer than 255 characters
+const MAX_SEARCH_LENGTH = 255;
+
+/**
+ * Collect the runs a json_object points at, from formattingContext.runIndex and
+ * from the "Paragraph:32,Run:0" context of its directFormatPatterns
+ */
+export function getRunTargets(obj) {
+    const targets = [];
+    const context = obj.formattingContext || {};
+
+    if (typeof context.runIndex === "number" && context.runIndex >= 0) {
+        targets.push({ runIndex: context.runIndex, sampleText: "" });
+    }
+
+    (obj.directFormatPatterns || []).forEach(pattern => {
+        const runIndex = parseRunIndex(pattern.context);
+        if (runIndex === -1 && !pattern.sampleText) return;
+
+        const existing = targets.find(target => runIndex !== -1 && target.runIndex === runIndex);
+        if (existing) {
+            existing.sampleText = existing.sampleText || pattern.sampleText || "";
+        } else {
+            targets.push({ runIndex: runIndex, sampleText: pattern.sampleText || "" });
+        }
+    });
+
+    return targets;
+}
+
+/**
+ * Read the run index from a pattern context such as "Paragraph:32,Run:0" or "ListItem:L0:N1:P3:R2"
+ */
+export function parseRunIndex(patternContext) {
+    if (!patternContext) return -1;
+
+    const match = patternContext.match(/Run:(\d+)/) || patternContext.match(/:R(\d+)$/);
+    return match ? parseInt(match[1], 10) : -1;
+}
+
+/**
+ * Whether an op changes character formatting, and so should be limited to the targeted runs
+ */
+export function isRunOperation(operation) {
+    return operation.prop.startsWith("font.");
+}
+
+/**
+ * Resolve the run targets of a json_object to ranges inside the paragraph.
+ * Returns an empty array when the object does not target specific runs.
+ */
+export async function resolveRunRanges(paragraph, obj) {
+    const [result] = await resolveRunRangesBatch(paragraph.context, [{ paragraph: paragraph, obj: obj }]);
+    if (result.error) {
+        throw result.error;
+    }
+    return result.ranges;
+}
+
+/**
+ * Resolve the run targets of many [{ paragraph, obj }] pairs in at most three syncs:
+ * sample text searches, then the OOXML of paragraphs that still need run texts, then
+ * the run text searches. Returns { ranges, error } per pair instead of throwing.
+ */
+export async function resolveRunRangesBatch(wordContext, requests) {
+    const jobs = requests.map(request => ({
+        paragraph: request.paragraph,
+        targets: getRunTargets(request.obj),
+        found: [],
+        ooxml: null
+    }));
+
+    // Pass 1: runs identified by their sample text
+    const sampleSearches = [];
+    jobs.forEach(job => job.targets.forEach((target, i) => {
+        if (target.sampleText) {
+            sampleSearches.push({ job: job, i: i, result: queueFindText(job.paragraph, target.sampleText, 0) });
+        }
+    }));
+    await syncIfQueued(wordContext, sampleSearches);
+    sampleSearches.forEach(search => {
+        search.job.found[search.i] = search.result();
+    });
+
+    // Pass 2: the backend counts every w:r descendant of the paragraph, so read the same runs from the OOXML
+    const byIndex = jobs.filter(job => job.targets.some((target, i) => !job.found[i] && target.runIndex >= 0));
+    byIndex.forEach(job => {
+        job.ooxml = job.paragraph.getOoxml();
+    });
+    await syncIfQueued(wordContext, byIndex);
+
+    // Pass 3: find each run by its text and its occurrence among the runs before it
+    const runSearches = [];
+    byIndex.forEach(job => {
+        const runTexts = parseRunTexts(job.ooxml.value);
+        job.targets.forEach((target, i) => {
+            const runText = runTexts[target.runIndex];
+            if (job.found[i] || target.runIndex < 0 || !runText) return;
+
+            const occurrence = countOccurrences(runTexts.slice(0, target.runIndex).join(""), runText);
+            runSearches.push({ job: job, i: i, result: queueFindText(job.paragraph, runText, occurrence) });
+        });
+    });
+    await syncIfQueued(wordContext, runSearches);
+    runSearches.forEach(search => {
+        search.job.found[search.i] = search.result();
+    });
+
+    return jobs.map(job => {
+        const missing = job.targets.find((target, i) => !job.found[i]);
+        if (missing) {
+            return {
+                ranges: [],
+                error: new Error(`Run ${missing.runIndex >= 0 ? missing.runIndex : `"${missing.sampleText}"`} not found in paragraph`)
+            };
+        }
+        return { ranges: job.found.slice(0, job.targets.length), error: null };
+    });
+}
+
+/**
+ * Sync only when something was queued for this pass
+ */
+async function syncIfQueued(wordContext, queued) {
+    if (queued.length > 0) {
+        await wordContext.sync();
+    }
+}
+
+/**
+ * Read the text of each run in a paragraph's OOXML, in document order
+ */
+function parseRunTexts(ooxml) {
+    const xmlDocument = new DOMParser().parseFromString(ooxml, "application/xml");
+    const paragraphElement = xmlDocument.getElementsByTagNameNS(WORD_NAMESPACE, "p")[0];
+    if (!paragraphElement) {
+        return [];
+    }
+
+    return Array.from(paragraphElement.getElementsByTagNameNS(WORD_NAMESPACE, "r")).map(run =>
+        Array.from(run.getElementsByTagNameNS(WORD_NAMESPACE, "t"))
+            .map(textElement => textElement.textContent)
+            .join("")
+    );
+}
+
+/**
+ * Count how often text occurs in a string, overlaps excluded
+ */
+function countOccurrences(haystack, text) {
+    let count = 0;
+    let position = haystack.indexOf(text);
+    while (position !== -1) {
+        count++;
+        position = haystack.indexOf(text, position + text.length);
+    }
+    return count;
+}
+
+/**
+ * Queue a search for the nth occurrence of text inside the paragraph. Returns a function
+ * that gives the range, or null, once the caller has synced.
+ */
+function queueFindText(paragraph, text, occurrence) {
+    const searchOptions = { matchCase: true };
+
+    if (text.length <= MAX_SEARCH_LENGTH) {
+        const results = paragraph.search(text, searchOptions);
+        results.load("items");
+
+        return () => results.items[occurrence] || null;
+    }
+
+    // Long runs are found by their start and end, then joined into a single range
+    const starts = paragraph.search(text.substring(0, MAX_SEARCH_LENGTH), searchOptions);
+    const ends = paragraph.search(text.substring(text.length - MAX_SEARCH_LENGTH), searchOptions);
+    starts.load("items");
+    ends.load("items");
+
+    return () => {
+        const start = starts.items[occurrence];
+        const end = ends.items[occurrence];
+        return start && end ? start.expandTo(end) : null;
+    };
+}
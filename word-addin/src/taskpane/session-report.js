@@ -0,0 +1,296 @@
+/**
+ * Session Report
+ * Builds a report of a review session, every suggestion with its targets, ops and decisions,
+ * and writes it as JSON, CSV or a printable HTML summary for attaching to QA tickets
+ */
+
+/* global Blob, document, URL */
+
+import { OUTCOME_STATUS } from "./apply-plan";
+import { getReviewerName } from "./verification-api";
+
+export const REPORT_FORMATS = {
+    json: { label: "JSON", extension: "json", mimeType: "application/json", write: formatReportJson },
+    csv: { label: "CSV", extension: "csv", mimeType: "text/csv", write: formatReportCsv },
+    html: { label: "HTML (printable)", extension: "html", mimeType: "text/html", write: formatReportHtml }
+};
+
+// Report states, in the order the summary lists them
+const REPORT_STATES = ["applied", "partial", "skipped", "rejected", "commented", "failed", "reverted", "partial-revert", "pending"];
+
+const CSV_COLUMNS = [
+    { header: "Queue", value: item => item.queue },
+    { header: "Number", value: item => item.index + 1 },
+    { header: "Message", value: item => item.message },
+    { header: "Severity", value: item => item.severity },
+    { header: "Mismatch", value: item => item.mismatchId },
+    { header: "Style", value: item => item.styleId },
+    { header: "Targets", value: item => item.targets.map(target => target.contextKey).join("; ") },
+    { header: "Sample text", value: item => item.targets.map(target => target.sampleText).join(" | ") },
+    { header: "Ops", value: item => item.ops.map(formatOp).join("; ") },
+    { header: "Decision", value: item => item.state },
+    { header: "Reason", value: item => item.reason },
+    { header: "Failure", value: item => item.failure },
+    { header: "Decided at", value: item => item.decidedAt },
+    { header: "Reverted at", value: item => item.revertedAt }
+];
+
+// Spreadsheet programs run cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Build the report of a session: { generatedAt, reviewer, verification, summary, suggestions }.
+ * session is { verification, queues: { document, styles }, processedSuggestions, getState },
+ * getState(queue, index) giving a suggestion's current review state.
+ */
+export function buildSessionReport(session) {
+    const items = [];
+    Object.keys(session.queues).forEach(queue => {
+        (session.queues[queue] || []).forEach((suggestion, index) => {
+            const decisions = session.processedSuggestions
+                .filter(entry => entry.queue === queue && entry.index === index)
+                .map(describeDecision);
+            items.push(describeSuggestion(queue, index, suggestion, session.getState(queue, index), decisions));
+        });
+    });
+
+    const summary = {};
+    REPORT_STATES.forEach(state => {
+        summary[state] = items.filter(item => item.state === state).length;
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        reviewer: getReviewerName(),
+        verification: session.verification || null,
+        summary: summary,
+        suggestions: items
+    };
+}
+
+/**
+ * Write a report in one of REPORT_FORMATS and hand it to the browser as a download
+ */
+export function downloadReport(report, formatKey) {
+    const format = REPORT_FORMATS[formatKey];
+    if (!format) {
+        throw new Error(`Unknown report format "${formatKey}"`);
+    }
+
+    const blob = new Blob([format.write(report)], { type: `${format.mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${getReportBaseName(report)}.${format.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked later, as some hosts read the blob after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    return link.download;
+}
+
+/**
+ * Write a report as indented JSON
+ */
+export function formatReportJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Write a report as CSV, one row per suggestion
+ */
+export function formatReportCsv(report) {
+    const rows = [CSV_COLUMNS.map(column => column.header)];
+    report.suggestions.forEach(item => rows.push(CSV_COLUMNS.map(column => column.value(item))));
+    return rows.map(row => row.map(escapeCsv).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Write a report as a standalone HTML page, laid out for printing
+ */
+export function formatReportHtml(report) {
+    const verification = report.verification;
+    const details = [
+        ["Generated", formatDate(report.generatedAt)],
+        ["Reviewer", report.reviewer]
+    ];
+    if (verification) {
+        details.push(
+            ["Document", verification.documentName],
+            ["Template", verification.templateName || verification.templateId],
+            ["Verification", `${verification.id}${verification.verificationDate ? `, ${formatDate(verification.verificationDate)}` : ""}`]);
+    }
+
+    const rows = report.suggestions.map(item => `
+        <tr class="${item.state}">
+            <td>${item.queue === "styles" ? "Style " : ""}${item.index + 1}</td>
+            <td>${escapeHtml(item.message)}${item.severity ? `<div class="note">${escapeHtml(item.severity)}</div>` : ""}</td>
+            <td>${item.styleId ? `Style ${escapeHtml(item.styleId)}` : item.targets.map(target =>
+                `<div>${escapeHtml(target.contextKey)}${target.sampleText ? `<div class="note">"${escapeHtml(target.sampleText)}"</div>` : ""}</div>`).join("")}</td>
+            <td>${item.ops.map(op => `<div><code>${escapeHtml(formatOp(op))}</code></div>`).join("")}</td>
+            <td><strong>${escapeHtml(item.state)}</strong>${item.tracked ? `<div class="note">tracked changes</div>` : ""}</td>
+            <td>${escapeHtml(item.reason)}${item.failure ? `<div class="failure">${escapeHtml(item.failure)}</div>` : ""}</td>
+            <td>${escapeHtml(formatDate(item.decidedAt))}${item.revertedAt ? `<div class="note">Reverted ${escapeHtml(formatDate(item.revertedAt))}</div>` : ""}</td>
+        </tr>`).join("");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(getReportTitle(report))}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 12px; color: #333; margin: 24px; }
+        h1 { font-size: 20px; margin: 0 0 12px; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+        th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+        th { background: #f1f1f1; }
+        .details th { width: 120px; }
+        .summary td { text-align: center; }
+        .note { color: #666; font-size: 11px; }
+        .failure { color: #d32f2f; }
+        tr.applied td:nth-child(5) { color: #2e7d32; }
+        tr.failed td:nth-child(5) { color: #d32f2f; }
+        code { font-family: 'Consolas', 'Courier New', monospace; font-size: 11px; }
+        @media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(getReportTitle(report))}</h1>
+    <table class="details">
+        ${details.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join("")}
+    </table>
+    <table class="summary">
+        <tr>${REPORT_STATES.map(state => `<th>${state}</th>`).join("")}</tr>
+        <tr>${REPORT_STATES.map(state => `<td>${report.summary[state]}</td>`).join("")}</tr>
+    </table>
+    <table>
+        <thead>
+            <tr><th>#</th><th>Suggestion</th><th>Targets</th><th>Changes</th><th>Decision</th><th>Reason</th><th>Decided</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Describe one suggestion for the report, with the latest decision's details at the top level
+ */
+function describeSuggestion(queue, index, suggestion, state, decisions) {
+    const latest = decisions.length > 0 ? decisions[decisions.length - 1] : null;
+    return {
+        queue: queue,
+        index: index,
+        message: suggestion.message,
+        severity: suggestion.severity || "",
+        mismatchId: suggestion.mismatchId || null,
+        styleId: suggestion.styleId || null,
+        targets: (suggestion.json_object || []).map(obj => ({
+            contextKey: obj.formattingContext.contextKey || "",
+            sampleText: obj.formattingContext.sampleText || ""
+        })),
+        ops: suggestion.ops.map(op => ({ prop: op.prop, to: op.to })),
+        state: state,
+        reason: latest ? latest.reason : "",
+        failure: latest ? describeFailure(latest) : "",
+        tracked: Boolean(latest && latest.tracked),
+        decidedAt: latest ? latest.decidedAt : null,
+        revertedAt: latest ? latest.revertedAt : null,
+        decisions: decisions
+    };
+}
+
+/**
+ * Describe an entry of the session history as plain data
+ */
+function describeDecision(entry) {
+    let decision = "applied";
+    if (entry.failed) decision = "failed";
+    else if (entry.skipped) decision = "skipped";
+    else if (entry.rejected) decision = "rejected";
+    else if (entry.commented) decision = "commented";
+    else if (entry.partial) decision = "partial";
+
+    return {
+        decision: decision,
+        retry: Boolean(entry.retry),
+        reason: entry.reason || "",
+        error: entry.error || null,
+        warnings: entry.warnings || [],
+        outcomes: entry.outcomes || [],
+        tracked: Boolean(entry.tracked),
+        partiallyReverted: Boolean(entry.partiallyReverted),
+        decidedAt: entry.timestamp ? entry.timestamp.toISOString() : null,
+        revertedAt: entry.revertedAt ? entry.revertedAt.toISOString() : null
+    };
+}
+
+/**
+ * Describe what did not go through in a decision: each op and target that failed or was
+ * skipped, with its code, or the error and warnings of decisions saved without outcomes
+ */
+function describeFailure(decision) {
+    const unsuccessful = decision.outcomes.filter(outcome => outcome.status !== OUTCOME_STATUS.SUCCEEDED);
+    if (unsuccessful.length === 0) {
+        return [decision.error].concat(decision.warnings).filter(Boolean).join("; ");
+    }
+    return unsuccessful
+        .map(outcome => `${outcome.prop}${outcome.contextKey ? ` on ${outcome.contextKey}` : ""} ${outcome.status}${outcome.code ? ` (${outcome.code})` : ""}${outcome.message ? `: ${outcome.message}` : ""}`)
+        .join("; ");
+}
+
+/**
+ * Write an op as "prop = value", as review comments do
+ */
+function formatOp(op) {
+    return `${op.prop} = ${JSON.stringify(op.to)}`;
+}
+
+/**
+ * Title a report after its document, when it came from a verification
+ */
+function getReportTitle(report) {
+    const documentName = report.verification && report.verification.documentName;
+    return documentName ? `Style review: ${documentName}` : "Style review";
+}
+
+/**
+ * Name a report file after its document and date, e.g. "style-review-Report-2024-05-01"
+ */
+function getReportBaseName(report) {
+    const documentName = report.verification && report.verification.documentName;
+    const stem = documentName ? documentName.replace(/\.docx?$/i, "").replace(/[^\w-]+/g, "_") : "session";
+    return `style-review-${stem}-${report.generatedAt.substring(0, 10)}`;
+}
+
+/**
+ * Format an ISO date for people, in the reviewer's locale
+ */
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : "";
+}
+
+/**
+ * Quote a CSV cell when needed, and keep text from being read as a formula
+ */
+function escapeCsv(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
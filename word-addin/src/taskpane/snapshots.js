@@ -0,0 +1,99 @@
+/**
+ * Formatting Snapshots
+ * Captures the properties a suggestion is about to change so the change can be reverted later
+ */
+
+import { getSnapshotPath, OOXML_SNAPSHOT_PATH } from "./operations";
+
+// Restored before anything else, because applying a style resets the formatting it defines
+const STYLE_PATHS = ["style", "baseStyle"];
+
+/**
+ * Get the property paths a list of ops changes, without duplicates
+ */
+export function getSnapshotPaths(operations, forStyle = false) {
+    const paths = [];
+
+    operations.forEach(operation => {
+        const path = getSnapshotPath(operation.prop, forStyle);
+        if (path && !paths.includes(path)) {
+            paths.push(path);
+        }
+    });
+
+    return paths;
+}
+
+/**
+ * Capture the current value of each requested path on each target in a single sync.
+ * Takes [{ target, paths }] and returns one plain snapshot object per request.
+ */
+export async function captureSnapshots(wordContext, requests) {
+    const pending = requests.map(request => {
+        const propertyPaths = request.paths.filter(path => path !== OOXML_SNAPSHOT_PATH);
+        if (propertyPaths.length > 0) {
+            request.target.load(propertyPaths.join(","));
+        }
+
+        return {
+            request: request,
+            ooxml: request.paths.includes(OOXML_SNAPSHOT_PATH) ? request.target.getOoxml() : null
+        };
+    });
+
+    await wordContext.sync();
+
+    return pending.map(({ request, ooxml }) => {
+        const snapshot = {};
+        request.paths.forEach(path => {
+            snapshot[path] = path === OOXML_SNAPSHOT_PATH ? ooxml.value : readPath(request.target, path);
+        });
+        return snapshot;
+    });
+}
+
+/**
+ * Write a snapshot back onto a target. The caller syncs. A snapshot holding the paragraph's
+ * OOXML only has that written back: it was captured with the other properties, so it holds
+ * them as they were, and the rewrite leaves the target pointing at deleted content.
+ * Returns whether the target was rewritten, so the caller finds it again before using it.
+ */
+export function restoreSnapshot(target, snapshot) {
+    if (snapshot[OOXML_SNAPSHOT_PATH] !== undefined) {
+        target.insertOoxml(snapshot[OOXML_SNAPSHOT_PATH], "Replace");
+        return true;
+    }
+
+    const paths = Object.keys(snapshot).filter(path => path !== OOXML_SNAPSHOT_PATH);
+    paths.sort((a, b) => (STYLE_PATHS.includes(a) ? 0 : 1) - (STYLE_PATHS.includes(b) ? 0 : 1));
+
+    paths.forEach(path => {
+        const value = snapshot[path];
+
+        // Mixed formatting reads back as null (or an empty font name) and cannot be written back
+        if ((value === null && path !== "font/highlightColor") || (value === "" && path === "font/name")) {
+            console.warn(`Skipping restore of ${path}: the original value was mixed`);
+            return;
+        }
+
+        writePath(target, path, value);
+    });
+    return false;
+}
+
+/**
+ * Read a "font/color" style path from a loaded proxy object
+ */
+function readPath(target, path) {
+    return path.split("/").reduce((value, key) => value[key], target);
+}
+
+/**
+ * Write a "font/color" style path onto a proxy object
+ */
+function writePath(target, path, value) {
+    const keys = path.split("/");
+    const property = keys.pop();
+    const owner = keys.reduce((object, key) => object[key], target);
+    owner[property] = value;
+}
@@ -0,0 +1,533 @@
+/**
+ * Style Resolver
+ * Resolves the style IDs in suggestions (OOXML style IDs, English or localized names, built-in
+ * identifiers) to the styles of the open document, and creates missing styles from a template
+ */
+
+/* global DOMParser, Word */
+
+import { applyStyleOperation, BUILT_IN_STYLES, TEXT_STYLE_OPERATIONS } from "./operations";
+import { withoutTrackedChanges } from "./tracked-changes";
+import { invalidateParagraphCache } from "./word-executor";
+
+const WORD_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+// The extractor numbers repeated style IDs, e.g. "Heading 4_36"
+const INSTANCE_SUFFIX = /_\d+$/;
+
+// Properties of a template style definition set on the styles created from it
+const TEMPLATE_STYLE_PROPERTIES = [
+    "fontFamily", "fontSize", "isBold", "isItalic", "isUnderline", "color",
+    "alignment", "spacingBefore", "spacingAfter", "indentationLeft", "indentationRight", "firstLineIndent", "lineSpacing"
+];
+
+// Styles of the document by lookup key, loaded on first use
+let styleIndex = null;
+
+/**
+ * Resolve style IDs to the document's styles. Returns a Map from each ID to
+ * { styleId, found, name, builtIn, type }: name is the style's local name when the document
+ * has it, and builtIn the identifier of a built-in style, which Word can apply even when the
+ * document does not define the style yet.
+ */
+export async function resolveStyles(wordContext, styleIds) {
+    let freshlyLoaded = false;
+    if (!styleIndex) {
+        styleIndex = await loadStyleIndex(wordContext);
+        freshlyLoaded = true;
+    }
+
+    let resolutions = resolveAll(styleIds);
+
+    // Styles may have been added in Word since the index was loaded
+    if (!freshlyLoaded && Array.from(resolutions.values()).some(resolution => !resolution.found)) {
+        styleIndex = await loadStyleIndex(wordContext);
+        resolutions = resolveAll(styleIds);
+    }
+    return resolutions;
+}
+
+/**
+ * Get the name to show for a style ID: its local name when it was resolved before, or the ID
+ */
+export function getStyleDisplayName(styleId) {
+    if (!styleIndex) {
+        return styleId;
+    }
+    const resolution = resolveStyle(styleId);
+    return resolution.found ? resolution.name : styleId;
+}
+
+/**
+ * Drop the loaded styles, so the next resolution reads them from the document again
+ */
+export function invalidateStyleIndex() {
+    styleIndex = null;
+}
+
+/**
+ * Find a style among the template's styles (DefaultStyleDto of /api/Templates/{id}/styles) by
+ * style ID or name
+ */
+export function findTemplateStyle(templateStyles, styleId) {
+    const candidates = getCandidateKeys(styleId);
+    return templateStyles.find(style => style.styleId === styleId) ||
+        templateStyles.find(style => candidates.includes(getStyleKey(style.styleId)) || candidates.includes(getStyleKey(style.name)));
+}
+
+/**
+ * Create styles in the document from their template definitions (the /api/Templates/{id}/styles
+ * response), together with the styles they are based on, through the styles collection so the
+ * body is left alone. List styles, and the styles they are based on, are inserted with their
+ * numbering instead. Styles the document already has keep their definitions. Returns
+ * { resolutions, created }: the resolutions of the requested style IDs, and per requested ID
+ * the names of the styles created for it, so reverting can remove them again.
+ */
+export async function createTemplateStyles(wordContext, styleIds, templateStyles) {
+    const definitions = templateStyles.defaultStyles || [];
+    const chains = styleIds.map(styleId => {
+        let definition = findTemplateStyle(definitions, styleId);
+        if (!definition) {
+            throw new Error(`The template has no definition of style "${styleId}"`);
+        }
+
+        // Base styles first, so each style can be based on one that exists
+        const chain = [];
+        while (definition && chain.indexOf(definition) === -1) {
+            chain.unshift(definition);
+            definition = definition.basedOn ? findTemplateStyle(definitions, definition.basedOn) : null;
+        }
+        return chain;
+    });
+
+    // Base styles the template does not define may still be in the document
+    const chainIds = [];
+    [].concat(...chains).forEach(definition => {
+        chainIds.push(definition.styleId);
+        if (definition.basedOn) chainIds.push(definition.basedOn);
+    });
+    const existing = await resolveStyles(wordContext, chainIds);
+
+    // Names of the styles in the document by template style ID, as they are created
+    const names = new Map();
+    existing.forEach((resolution, styleId) => {
+        if (resolution.found) names.set(styleId, resolution.name);
+    });
+
+    const numberingDefinitions = templateStyles.numberingDefinitions || [];
+    const created = new Map();
+    try {
+        for (let i = 0; i < styleIds.length; i++) {
+            const missing = chains[i].filter(definition => !names.has(definition.styleId));
+            created.set(styleIds[i], missing.map(getTemplateStyleName));
+
+            // The styles collection cannot give a style numbering, so a chain with a list style
+            // comes in as an OOXML package with its numbering
+            if (missing.length > 0 && chains[i].some(definition => findStyleNumbering(definition, numberingDefinitions))) {
+                await insertStylePackage(wordContext, chains[i], numberingDefinitions);
+                missing.forEach(definition => names.set(definition.styleId, getTemplateStyleName(definition)));
+            } else {
+                for (const definition of missing) {
+                    const base = definition.basedOn ? findTemplateStyle(definitions, definition.basedOn) : null;
+                    await addTemplateStyle(wordContext, definition, getTemplateStyleName(definition), names.get(base ? base.styleId : definition.basedOn));
+                    names.set(definition.styleId, getTemplateStyleName(definition));
+                }
+            }
+        }
+        await wordContext.sync();
+    } catch (error) {
+        // Word does not roll back a failed batch, so remove what was created before the failure
+        await deleteCreatedStyles(wordContext, [].concat(...created.values())).catch(cleanupError =>
+            console.warn("Could not remove the styles created before the failure:", cleanupError));
+        throw error;
+    }
+
+    invalidateStyleIndex();
+    return { resolutions: await resolveStyles(wordContext, styleIds), created: created };
+}
+
+/**
+ * Insert a chain of template styles with the numbering they use. Word only takes in the styles
+ * and numbering that inserted content uses, so a temporary paragraph at the end of the body
+ * carries them in and is removed again at once, with change tracking off so it leaves no revision.
+ */
+async function insertStylePackage(wordContext, chain, numberingDefinitions) {
+    const styles = chain.map(definition => ({
+        definition: definition,
+        numbering: findStyleNumbering(definition, numberingDefinitions)
+    }));
+    const stylePackage = buildStylePackage(styles, [chain[chain.length - 1]]);
+
+    await withoutTrackedChanges(wordContext, async () => {
+        const holder = wordContext.document.body.insertParagraph("", "End");
+        const inserted = holder.getRange("Whole").insertOoxml(stylePackage, "Replace");
+        const paragraphs = inserted.paragraphs;
+        paragraphs.load("items");
+        await wordContext.sync();
+
+        paragraphs.items.forEach(paragraph => paragraph.delete());
+        await wordContext.sync();
+    });
+    invalidateParagraphCache();
+}
+
+/**
+ * Get the name a style created from a template definition gets
+ */
+function getTemplateStyleName(definition) {
+    return definition.name || definition.styleId;
+}
+
+/**
+ * Delete styles created from the template, when reverting the suggestion they were created for.
+ * Paragraphs still using one fall back to the Normal style.
+ */
+export async function deleteCreatedStyles(wordContext, styleNames) {
+    const styles = styleNames.map(name => wordContext.document.getStyles().getByNameOrNullObject(name));
+    styles.forEach(style => style.load("nameLocal"));
+    await wordContext.sync();
+
+    styles.forEach(style => {
+        if (!style.isNullObject) {
+            style.delete();
+        }
+    });
+    await wordContext.sync();
+    invalidateStyleIndex();
+}
+
+/**
+ * Add one template style to the document and set its font and paragraph format from the
+ * extracted definition, through the same ops style suggestions use. Values the extractor left
+ * at false, 0 or empty are inherited from the base style.
+ */
+async function addTemplateStyle(wordContext, definition, name, baseStyleName) {
+    const type = getDefinitionType(definition);
+    if (type !== "paragraph" && type !== "character") {
+        throw new Error(`Style "${name}" is a ${type} style, which cannot be created`);
+    }
+
+    const style = wordContext.document.addStyle(name, type === "character" ? Word.StyleType.character : Word.StyleType.paragraph);
+    const ops = [];
+    if (baseStyleName) {
+        ops.push({ prop: "style.basedOn", to: baseStyleName });
+    }
+    if (definition.isHidden) {
+        ops.push({ prop: "style.isHidden", to: true });
+    }
+    TEMPLATE_STYLE_PROPERTIES.forEach(property => {
+        const prop = TEXT_STYLE_OPERATIONS[property];
+        if (definition[property] && (type === "paragraph" || prop.startsWith("font."))) {
+            ops.push({ prop: `style.${prop}`, to: definition[property] });
+        }
+    });
+    for (const op of ops) {
+        await applyStyleOperation(style, op);
+    }
+
+    if (definition.priority) {
+        style.priority = definition.priority;
+    }
+    style.quickStyle = Boolean(definition.isQuickStyle);
+}
+
+/**
+ * Resolve each style ID against the loaded index
+ */
+function resolveAll(styleIds) {
+    const resolutions = new Map();
+    styleIds.forEach(styleId => resolutions.set(styleId, resolveStyle(styleId)));
+    return resolutions;
+}
+
+/**
+ * Resolve one style ID against the loaded index, trying it as given and without the
+ * extractor's instance suffix
+ */
+function resolveStyle(styleId) {
+    const candidates = getCandidateKeys(styleId);
+
+    for (const key of candidates) {
+        const entry = styleIndex.get(key);
+        if (entry) {
+            return { styleId: styleId, found: true, name: entry.name, builtIn: entry.builtIn, type: entry.type };
+        }
+    }
+
+    const builtIn = BUILT_IN_STYLES.find(identifier => candidates.includes(getStyleKey(identifier))) || null;
+    return { styleId: styleId, found: false, name: null, builtIn: builtIn, type: null };
+}
+
+/**
+ * Load the document's styles and index them by local name, built-in identifier, OOXML style
+ * ID and OOXML name, in that order of precedence
+ */
+async function loadStyleIndex(wordContext) {
+    const styles = wordContext.document.getStyles();
+    styles.load("items/nameLocal,items/builtIn,items/type");
+
+    // The OOXML of any range carries the document's styles part, with the style IDs and
+    // (English, for built-in styles) names the API does not expose
+    const ooxml = wordContext.document.body.getRange("Start").getOoxml();
+    await wordContext.sync();
+
+    const index = new Map();
+    const entries = styles.items.map(style => ({
+        name: style.nameLocal,
+        builtIn: style.builtIn ? findBuiltInIdentifier(style.nameLocal) : null,
+        type: style.type,
+        isBuiltIn: style.builtIn
+    }));
+    const byName = new Map(entries.map(entry => [getStyleKey(entry.name), entry]));
+
+    // Word derives style IDs from the local name by dropping spaces and non-ASCII letters,
+    // which links a localized style to its English OOXML name
+    const byDerivedId = new Map(entries.map(entry => [entry.name.replace(/[^A-Za-z0-9]/g, "").toLowerCase(), entry]));
+
+    const ooxmlStyles = readOoxmlStyles(ooxml.value).map(style => ({
+        styleId: style.styleId,
+        name: style.name,
+        entry: byName.get(getStyleKey(style.name)) || byName.get(getStyleKey(style.styleId)) ||
+            byDerivedId.get(style.styleId.toLowerCase())
+    })).filter(style => style.entry);
+
+    // A localized built-in style is identified by its English OOXML name or style ID
+    ooxmlStyles.forEach(style => {
+        if (style.entry.isBuiltIn && !style.entry.builtIn) {
+            style.entry.builtIn = findBuiltInIdentifier(style.name) || findBuiltInIdentifier(style.styleId);
+        }
+    });
+
+    const addKey = (key, entry) => {
+        if (key && !index.has(key)) {
+            index.set(key, entry);
+        }
+    };
+    entries.forEach(entry => addKey(getStyleKey(entry.name), entry));
+    entries.forEach(entry => addKey(entry.builtIn && getStyleKey(entry.builtIn), entry));
+    ooxmlStyles.forEach(style => {
+        addKey(getStyleKey(style.styleId), style.entry);
+        addKey(getStyleKey(style.name), style.entry);
+    });
+
+    return index;
+}
+
+/**
+ * Find the built-in style identifier matching a style name or ID, e.g. "heading 1" for Heading1
+ */
+function findBuiltInIdentifier(name) {
+    return BUILT_IN_STYLES.find(identifier => getStyleKey(identifier) === getStyleKey(name)) || null;
+}
+
+/**
+ * Read the style IDs and names from the styles part of an OOXML package
+ */
+function readOoxmlStyles(ooxml) {
+    const xmlDocument = new DOMParser().parseFromString(ooxml, "application/xml");
+    return Array.from(xmlDocument.getElementsByTagNameNS(WORD_NAMESPACE, "style")).map(style => {
+        const name = style.getElementsByTagNameNS(WORD_NAMESPACE, "name")[0];
+        return {
+            styleId: style.getAttributeNS(WORD_NAMESPACE, "styleId"),
+            name: name ? name.getAttributeNS(WORD_NAMESPACE, "val") : ""
+        };
+    });
+}
+
+/**
+ * Find the numbering a template style uses: the numbering instance its raw XML refers to or,
+ * without raw XML, the numbering level that names the style. Returns { definition, level } or null.
+ */
+function findStyleNumbering(definition, numberingDefinitions) {
+    const usable = numberingDefinitions.filter(numbering => numbering.numberingId > 0 && numbering.rawXml);
+
+    const numId = /<w:numId w:val="(\d+)"/.exec(definition.rawXml || "");
+    if (numId) {
+        const level = /<w:ilvl w:val="(\d+)"/.exec(definition.rawXml);
+        const numbering = usable.find(candidate => candidate.numberingId === parseInt(numId[1], 10));
+        return numbering ? { definition: numbering, level: level ? parseInt(level[1], 10) : 0 } : null;
+    }
+    if (definition.rawXml) {
+        return null;
+    }
+
+    const styleReference = `<w:pStyle w:val="${escapeXml(definition.styleId)}"/>`;
+    for (const numbering of usable) {
+        const level = (numbering.numberingLevels || []).find(candidate => (candidate.rawXml || "").indexOf(styleReference) !== -1);
+        if (level) {
+            return { definition: numbering, level: level.level };
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the w:style element of a template style: its raw XML when the template has it,
+ * otherwise from the extracted font, size, colour, spacing, indentation and alignment
+ */
+function getStyleXml(style) {
+    const { definition, numbering } = style;
+    if (definition.rawXml) {
+        return definition.rawXml;
+    }
+
+    const type = getDefinitionType(definition);
+    const paragraphProperties = [];
+    if (numbering) {
+        paragraphProperties.push(`<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.definition.numberingId}"/></w:numPr>`);
+    }
+    const spacing = [
+        definition.spacingBefore ? `w:before="${toTwips(definition.spacingBefore)}"` : "",
+        definition.spacingAfter ? `w:after="${toTwips(definition.spacingAfter)}"` : "",
+        // Line spacing is extracted in lines, which OOXML counts in 240ths
+        definition.lineSpacing ? `w:line="${Math.round(definition.lineSpacing * 240)}" w:lineRule="auto"` : ""
+    ].filter(attribute => attribute);
+    if (spacing.length > 0) {
+        paragraphProperties.push(`<w:spacing ${spacing.join(" ")}/>`);
+    }
+    const indentation = [
+        definition.indentationLeft ? `w:left="${toTwips(definition.indentationLeft)}"` : "",
+        definition.indentationRight ? `w:right="${toTwips(definition.indentationRight)}"` : "",
+        definition.firstLineIndent > 0 ? `w:firstLine="${toTwips(definition.firstLineIndent)}"` : "",
+        definition.firstLineIndent < 0 ? `w:hanging="${toTwips(-definition.firstLineIndent)}"` : ""
+    ].filter(attribute => attribute);
+    if (indentation.length > 0) {
+        paragraphProperties.push(`<w:ind ${indentation.join(" ")}/>`);
+    }
+    if (definition.alignment) {
+        const alignment = definition.alignment.toLowerCase();
+        paragraphProperties.push(`<w:jc w:val="${alignment === "justify" ? "both" : escapeXml(alignment)}"/>`);
+    }
+
+    const runProperties = [];
+    if (definition.fontFamily) {
+        runProperties.push(`<w:rFonts w:ascii="${escapeXml(definition.fontFamily)}" w:hAnsi="${escapeXml(definition.fontFamily)}" w:cs="${escapeXml(definition.fontFamily)}"/>`);
+    }
+    if (definition.isBold) {
+        runProperties.push("<w:b/>");
+    }
+    if (definition.isItalic) {
+        runProperties.push("<w:i/>");
+    }
+    if (definition.color) {
+        runProperties.push(`<w:color w:val="${escapeXml(definition.color.replace(/^#/, ""))}"/>`);
+    }
+    if (definition.fontSize) {
+        // Font sizes are stored in half-points
+        runProperties.push(`<w:sz w:val="${Math.round(definition.fontSize * 2)}"/>`);
+    }
+    if (definition.isUnderline) {
+        runProperties.push(`<w:u w:val="single"/>`);
+    }
+
+    return `<w:style w:type="${type}"${definition.isCustom ? ` w:customStyle="1"` : ""} w:styleId="${escapeXml(definition.styleId)}">` +
+        `<w:name w:val="${escapeXml(definition.name || definition.styleId)}"/>` +
+        (definition.basedOn ? `<w:basedOn w:val="${escapeXml(definition.basedOn)}"/>` : "") +
+        (definition.nextStyle ? `<w:next w:val="${escapeXml(definition.nextStyle)}"/>` : "") +
+        (definition.priority ? `<w:uiPriority w:val="${definition.priority}"/>` : "") +
+        (definition.isHidden ? "<w:semiHidden/>" : "") +
+        (definition.isQuickStyle ? "<w:qFormat/>" : "") +
+        (type === "paragraph" && paragraphProperties.length > 0 ? `<w:pPr>${paragraphProperties.join("")}</w:pPr>` : "") +
+        (runProperties.length > 0 ? `<w:rPr>${runProperties.join("")}</w:rPr>` : "") +
+        "</w:style>";
+}
+
+/**
+ * Build an OOXML package whose styles part holds the given styles, with the numbering they
+ * use and one paragraph using each referenced style
+ */
+function buildStylePackage(styles, referenced) {
+    const paragraphs = referenced.map(definition => {
+        const type = getDefinitionType(definition);
+        if (type === "character") {
+            return `<w:p><w:r><w:rPr><w:rStyle w:val="${escapeXml(definition.styleId)}"/></w:rPr><w:t>.</w:t></w:r></w:p>`;
+        }
+        if (type !== "paragraph") {
+            throw new Error(`Style "${definition.name || definition.styleId}" is a ${type} style, which cannot be imported`);
+        }
+        return `<w:p><w:pPr><w:pStyle w:val="${escapeXml(definition.styleId)}"/></w:pPr></w:p>`;
+    });
+
+    const numberings = [];
+    styles.forEach(style => {
+        if (style.numbering && numberings.indexOf(style.numbering.definition) === -1) {
+            numberings.push(style.numbering.definition);
+        }
+    });
+
+    const relationships = [
+        `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    ];
+    const parts = [
+        `<pkg:part pkg:name="/word/document.xml" pkg:contentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"><pkg:xmlData>` +
+        `<w:document xmlns:w="${WORD_NAMESPACE}"><w:body>${paragraphs.join("")}</w:body></w:document>` +
+        `</pkg:xmlData></pkg:part>`,
+        `<pkg:part pkg:name="/word/styles.xml" pkg:contentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"><pkg:xmlData>` +
+        `<w:styles xmlns:w="${WORD_NAMESPACE}">${styles.map(getStyleXml).join("")}</w:styles>` +
+        `</pkg:xmlData></pkg:part>`
+    ];
+
+    if (numberings.length > 0) {
+        relationships.push(`<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>`);
+        // Abstract definitions must come before the numbering instances that use them
+        parts.push(
+            `<pkg:part pkg:name="/word/numbering.xml" pkg:contentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"><pkg:xmlData>` +
+            `<w:numbering xmlns:w="${WORD_NAMESPACE}">` +
+            numberings.map(numbering => numbering.rawXml).join("") +
+            numberings.map(numbering => `<w:num w:numId="${numbering.numberingId}"><w:abstractNumId w:val="${numbering.abstractNumId}"/></w:num>`).join("") +
+            `</w:numbering></pkg:xmlData></pkg:part>`);
+    }
+
+    return `<pkg:package xmlns:pkg="http://schemas.microsoft.com/office/2006/xmlPackage">` +
+        `<pkg:part pkg:name="/_rels/.rels" pkg:contentType="application/vnd.openxmlformats-package.relationships+xml"><pkg:xmlData>` +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>` +
+        `</Relationships></pkg:xmlData></pkg:part>` +
+        `<pkg:part pkg:name="/word/_rels/document.xml.rels" pkg:contentType="application/vnd.openxmlformats-package.relationships+xml"><pkg:xmlData>` +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships.join("")}</Relationships>` +
+        `</pkg:xmlData></pkg:part>` +
+        parts.join("") +
+        `</pkg:package>`;
+}
+
+/**
+ * Get the type of a template style ("paragraph", "character", "table" or "numbering"),
+ * preferring the w:type of its raw XML
+ */
+function getDefinitionType(definition) {
+    const match = /w:type="(\w+)"/.exec(definition.rawXml || "");
+    return (match ? match[1] : definition.type || "paragraph").toLowerCase();
+}
+
+/**
+ * Get the keys to look a style ID up by: as given and without the instance suffix
+ */
+function getCandidateKeys(styleId) {
+    const trimmed = String(styleId).trim();
+    return [getStyleKey(trimmed), getStyleKey(trimmed.replace(INSTANCE_SUFFIX, ""))];
+}
+
+/**
+ * Normalize a style ID or name for lookup: "Heading 2", "heading 2" and "Heading2" share a key
+ */
+function getStyleKey(value) {
+    return (value || "").replace(/\s+/g, "").toLowerCase();
+}
+
+/**
+ * Convert points to twentieths of a point, the unit of OOXML spacing and indentation
+ */
+function toTwips(points) {
+    return Math.round(points * 20);
+}
+
+/**
+ * Escape a value for an XML attribute
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
@@ -0,0 +1,232 @@
+/**
+ * Suggestion Preview
+ * Derives the current and suggested formatting of a suggestion target from its json_object
+ * and ops, for the rendered side-by-side preview and the property diff table
+ */
+
+import { INHERITED_WHEN_ZERO, POINTS_PER_LINE, TEXT_STYLE_OPERATIONS, validateOperation } from "./operations";
+
+// The TextStyle property each op reads its current value from, where TEXT_STYLE_OPERATIONS has none
+const OPERATION_TEXT_STYLES = {
+    "paragraph.style": "basedOnStyle",
+    "paragraph.styleBuiltIn": "basedOnStyle",
+    "style.font.color": "color"
+};
+
+// Keeps extreme sizes and spacing readable in the narrow task pane
+const MAX_PREVIEW_FONT_SIZE = 36;
+const MAX_PREVIEW_SPACING = 24;
+
+// Shown in the diff table when a current value is not in the payload
+const UNKNOWN_VALUE = "—";
+
+const CSS_ALIGNMENTS = {
+    "left": "left",
+    "start": "left",
+    "center": "center",
+    "centered": "center",
+    "right": "right",
+    "end": "right",
+    "both": "justify",
+    "justify": "justify",
+    "justified": "justify"
+};
+
+/**
+ * Get the text a target is previewed with: its paragraph's sample text, or the text of
+ * the run it points at
+ */
+export function getSampleText(obj) {
+    const context = obj.formattingContext || {};
+    if (context.sampleText) {
+        return context.sampleText;
+    }
+    const pattern = (obj.directFormatPatterns || []).find(candidate => candidate.sampleText);
+    return pattern ? pattern.sampleText : "";
+}
+
+/**
+ * Get the TextStyle property an op changes, or null when the TextStyle has none
+ */
+export function getOperationTextStyle(prop) {
+    if (OPERATION_TEXT_STYLES[prop]) {
+        return OPERATION_TEXT_STYLES[prop];
+    }
+    const property = Object.keys(TEXT_STYLE_OPERATIONS).find(key => TEXT_STYLE_OPERATIONS[key] === prop);
+    return property && prop !== "paragraph.border" ? property : null;
+}
+
+/**
+ * Compare a target's current formatting with what the ops set, one row per op:
+ * { prop, label, current, suggested, changed, error }. Without a target (style suggestions)
+ * or a TextStyle property for the op, the current value is unknown and shown as "—".
+ */
+export function getPreviewDiff(obj, ops, forStyle = false) {
+    return ops.map(op => {
+        const current = obj ? getCurrentValue(obj, op.prop) : undefined;
+        const row = {
+            prop: op.prop,
+            label: getOperationLabel(op.prop),
+            current: current === undefined ? UNKNOWN_VALUE : formatPreviewValue(current),
+            suggested: formatPreviewValue(op.to),
+            changed: true,
+            error: null
+        };
+
+        try {
+            const value = validateOperation(op, forStyle);
+            // Colours are compared as written by the op registry, "#RRGGBB"
+            if (getOperationTextStyle(op.prop) === "color") {
+                row.suggested = formatPreviewValue(value);
+            }
+        } catch (error) {
+            row.error = error.message;
+        }
+
+        row.changed = row.current === UNKNOWN_VALUE || row.current !== row.suggested;
+        return row;
+    });
+}
+
+/**
+ * Get the CSS (as camelCase style properties) that draws a target's text in its current
+ * formatting or, given ops, in the formatting the ops would give it. Ops that cannot be
+ * drawn, such as a style change or list numbering, are left out.
+ */
+export function getPreviewFormatting(obj, ops = []) {
+    const textStyle = Object.assign({}, obj);
+    ops.forEach(op => applyToTextStyle(textStyle, op));
+
+    const css = {};
+    if (textStyle.fontFamily) {
+        css.fontFamily = `"${textStyle.fontFamily}", sans-serif`;
+    }
+    if (textStyle.fontSize > 0) {
+        css.fontSize = `${Math.min(textStyle.fontSize, MAX_PREVIEW_FONT_SIZE)}pt`;
+    }
+    if (textStyle.color && /^#?[0-9a-f]{6}$/i.test(textStyle.color)) {
+        css.color = "#" + textStyle.color.replace(/^#/, "");
+    }
+    if (textStyle.highlighting) {
+        css.backgroundColor = textStyle.highlighting.startsWith("#") ? textStyle.highlighting : textStyle.highlighting.toLowerCase();
+    }
+
+    css.fontWeight = textStyle.isBold ? "bold" : "normal";
+    css.fontStyle = textStyle.isItalic ? "italic" : "normal";
+    css.textDecoration = [textStyle.isUnderline && "underline", textStyle.isStrikethrough && "line-through"]
+        .filter(Boolean)
+        .join(" ") || "none";
+    css.textTransform = textStyle.isAllCaps ? "uppercase" : "none";
+    css.fontVariant = textStyle.isSmallCaps ? "small-caps" : "normal";
+
+    const alignment = CSS_ALIGNMENTS[(textStyle.alignment || "").toLowerCase()];
+    if (alignment) {
+        css.textAlign = alignment;
+    }
+    css.marginTop = `${clampSpacing(textStyle.spacingBefore)}pt`;
+    css.marginBottom = `${clampSpacing(textStyle.spacingAfter)}pt`;
+    css.paddingLeft = `${clampSpacing(textStyle.indentationLeft)}pt`;
+    css.paddingRight = `${clampSpacing(textStyle.indentationRight)}pt`;
+    css.textIndent = `${Math.max(-MAX_PREVIEW_SPACING, Math.min(textStyle.firstLineIndent || 0, MAX_PREVIEW_SPACING))}pt`;
+    if (textStyle.lineSpacing > 0) {
+        css.lineHeight = String(textStyle.lineSpacing);
+    }
+
+    return css;
+}
+
+/**
+ * Format a TextStyle or op value for the diff table
+ */
+export function formatPreviewValue(value) {
+    if (value === undefined || value === null || value === "") {
+        return "(not set)";
+    }
+    if (typeof value === "boolean") {
+        return value ? "On" : "Off";
+    }
+    if (typeof value === "object") {
+        return ["style", "width", "color", "directions"]
+            .filter(key => value[key] !== undefined && value[key] !== "")
+            .map(key => `${key} ${value[key]}`)
+            .join(", ");
+    }
+    return String(value);
+}
+
+/**
+ * Read the current value of the property an op changes from a TextStyle
+ */
+function getCurrentValue(obj, prop) {
+    if (prop === "paragraph.border") {
+        return obj.borderStyle ? {
+            style: obj.borderStyle,
+            width: obj.borderWidth,
+            color: obj.borderColor,
+            directions: obj.borderDirections
+        } : null;
+    }
+
+    const property = getOperationTextStyle(prop);
+    if (!property) {
+        return undefined;
+    }
+    const value = obj[property];
+    if (property === "color" && value) {
+        return "#" + value.replace(/^#/, "").toUpperCase();
+    }
+    return INHERITED_WHEN_ZERO.includes(property) && value === 0 ? null : value;
+}
+
+/**
+ * Write the value an op sets onto a TextStyle, in the TextStyle's units
+ */
+function applyToTextStyle(textStyle, op) {
+    const property = getOperationTextStyle(op.prop);
+    if (!property || property === "basedOnStyle" || property === "listLevel") {
+        return;
+    }
+
+    let value;
+    try {
+        value = validateOperation(op);
+    } catch (error) {
+        // Invalid values are listed in the diff table and not drawn
+        return;
+    }
+
+    switch (property) {
+        case "color":
+            textStyle.color = value.substring(1);
+            break;
+        case "isUnderline":
+            textStyle.isUnderline = value !== "None";
+            break;
+        case "lineSpacing":
+            textStyle.lineSpacing = value / POINTS_PER_LINE;
+            break;
+        case "highlighting":
+            textStyle.highlighting = value || "";
+            break;
+        default:
+            textStyle[property] = value;
+    }
+}
+
+/**
+ * Label an op for the diff table, e.g. "font.strikeThrough" as "Font strike through"
+ */
+function getOperationLabel(prop) {
+    const parts = prop.replace(/^style\./, "").split(".");
+    const words = parts
+        .map(part => part.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase())
+        .join(" ");
+    return words.charAt(0).toUpperCase() + words.substring(1);
+}
+
+/**
+ * Limit a spacing or indentation to what the preview can show
+ */
+function clampSpacing(points) {
+    return Math.max(0, Math.min(points || 0, MAX_PREVIEW_SPACING));
+}
@@ -0,0 +1,204 @@
+/**
+ * Suggestion Schema
+ * Versioned format of the suggestions payload: migrations from older versions and
+ * validation against schemas/suggestions.schema.json
+ */
+
+import schema from "../../schemas/suggestions.schema.json";
+import { validateOperation } from "./operations";
+
+export const SUGGESTIONS_SCHEMA_VERSION = schema.properties.schemaVersion.const;
+
+// Payloads from before the format was versioned
+const UNVERSIONED_SCHEMA_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they upgrade from. Each takes a payload of that version
+ * and returns one of the next version.
+ */
+export const MIGRATIONS = {
+    // Version 1 had no schemaVersion and used the style-level colour op on paragraphs
+    1: payload => {
+        const suggestions = payload.suggestions || {};
+        return Object.assign({}, payload, {
+            schemaVersion: 2,
+            suggestions: Object.assign({}, suggestions, {
+                document: (suggestions.document || []).map(suggestion => {
+                    if (!suggestion || !Array.isArray(suggestion.ops)) return suggestion;
+                    return Object.assign({}, suggestion, {
+                        ops: suggestion.ops.map(op => op && op.prop === "style.font.color" ? Object.assign({}, op, { prop: "font.color" }) : op)
+                    });
+                })
+            })
+        });
+    }
+};
+
+/**
+ * Bring a payload up to the current version. Returns the payload unchanged when it is current.
+ */
+export function migrateSuggestions(payload) {
+    let version = payload.schemaVersion === undefined ? UNVERSIONED_SCHEMA_VERSION : payload.schemaVersion;
+
+    if (typeof version !== "number" || version > SUGGESTIONS_SCHEMA_VERSION) {
+        throw new Error(`Unsupported suggestions schemaVersion ${JSON.stringify(payload.schemaVersion)}; this add-in reads up to version ${SUGGESTIONS_SCHEMA_VERSION}`);
+    }
+
+    let migrated = payload;
+    while (version < SUGGESTIONS_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from suggestions schemaVersion ${version}`);
+        }
+        migrated = migrate(migrated);
+        version = migrated.schemaVersion;
+    }
+    return migrated;
+}
+
+/**
+ * Validate a current-version payload item by item. The envelope (version, verification,
+ * suggestion arrays) must be valid as a whole; each suggestion is kept or rejected on its
+ * own, with the reasons. Also rejects ops that are unknown or have an invalid value.
+ */
+export function validatePayload(payload) {
+    const envelopeSchema = Object.assign({}, schema, {
+        properties: Object.assign({}, schema.properties, {
+            suggestions: { type: "object", properties: { document: { type: "array" }, styles: { type: "array" } } }
+        })
+    });
+    const envelopeErrors = validateValue(payload, envelopeSchema, "");
+    if (envelopeErrors.length > 0) {
+        throw new Error(`Invalid suggestions payload: ${envelopeErrors.map(formatError).join("; ")}`);
+    }
+    if (payload.suggestions.document === undefined && payload.suggestions.styles === undefined) {
+        throw new Error("Invalid suggestions payload: it needs a \"suggestions.document\" or \"suggestions.styles\" array");
+    }
+
+    const result = { document: [], styles: [], rejected: [] };
+    [["document", "documentSuggestion", false], ["styles", "styleSuggestion", true]].forEach(([queue, definition, forStyle]) => {
+        (payload.suggestions[queue] || []).forEach((suggestion, index) => {
+            let errors = validateValue(suggestion, schema.definitions[definition], "");
+            if (suggestion && Array.isArray(suggestion.ops)) {
+                errors = errors.concat(validateOps(suggestion.ops, forStyle));
+            }
+
+            if (errors.length === 0) {
+                result[queue].push(suggestion);
+            } else {
+                result.rejected.push({
+                    queue: queue,
+                    index: index,
+                    message: suggestion && typeof suggestion.message === "string" ? suggestion.message : "",
+                    errors: errors.map(formatError)
+                });
+            }
+        });
+    });
+    return result;
+}
+
+/**
+ * Check each op against the op registry, as a suggestion whose ops cannot be applied is of no use
+ */
+function validateOps(ops, forStyle) {
+    const errors = [];
+    ops.forEach((op, opIndex) => {
+        // Malformed ops are already reported by the schema
+        if (!op || typeof op.prop !== "string" || op.to === undefined) return;
+
+        try {
+            validateOperation(op, forStyle);
+        } catch (error) {
+            errors.push({ path: `/ops/${opIndex}`, message: error.message });
+        }
+    });
+    return errors;
+}
+
+/**
+ * Check a value against the subset of JSON Schema the suggestions schema uses: $ref to local
+ * definitions, type, const, enum, required, properties, items, minItems, minLength and minimum
+ */
+function validateValue(value, valueSchema, path) {
+    if (valueSchema.$ref) {
+        return validateValue(value, resolveRef(valueSchema.$ref), path);
+    }
+
+    if (valueSchema.const !== undefined && value !== valueSchema.const) {
+        return [{ path: path, message: `must be ${JSON.stringify(valueSchema.const)}` }];
+    }
+    if (valueSchema.enum && valueSchema.enum.indexOf(value) === -1) {
+        return [{ path: path, message: `must be one of ${valueSchema.enum.map(item => JSON.stringify(item)).join(", ")}` }];
+    }
+    if (valueSchema.type) {
+        const types = [].concat(valueSchema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            return [{ path: path, message: `must be ${types.join(" or ")}` }];
+        }
+    }
+
+    const errors = [];
+    if (typeof value === "string" && valueSchema.minLength !== undefined && value.length < valueSchema.minLength) {
+        errors.push({ path: path, message: "must not be empty" });
+    }
+    if (typeof value === "number" && valueSchema.minimum !== undefined && value < valueSchema.minimum) {
+        errors.push({ path: path, message: `must be at least ${valueSchema.minimum}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (valueSchema.minItems !== undefined && value.length < valueSchema.minItems) {
+            errors.push({ path: path, message: `must have at least ${valueSchema.minItems} item${valueSchema.minItems === 1 ? "" : "s"}` });
+        }
+        if (valueSchema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateValue(item, valueSchema.items, `${path}/${index}`));
+            });
+        }
+    } else if (matchesType(value, "object")) {
+        (valueSchema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}/${key}`, message: "is required" });
+            }
+        });
+        Object.keys(valueSchema.properties || {}).forEach(key => {
+            if (value[key] !== undefined) {
+                errors.push(...validateValue(value[key], valueSchema.properties[key], `${path}/${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "array": return Array.isArray(value);
+        case "integer": return typeof value === "number" && isFinite(value) && Math.floor(value) === value;
+        case "number": return typeof value === "number" && isFinite(value);
+        case "null": return value === null;
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Resolve a "#/definitions/name" reference within the suggestions schema
+ */
+function resolveRef(ref) {
+    const name = ref.replace(/^#\/definitions\//, "");
+    if (!schema.definitions[name]) {
+        throw new Error(`Unknown schema reference ${ref}`);
+    }
+    return schema.definitions[name];
+}
+
+/**
+ * Format a validation error as "path: message"
+ */
+function formatError(error) {
+    return `${error.path || "(root)"}: ${error.message}`;
+}
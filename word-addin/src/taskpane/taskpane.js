@@ -3,575 +3,2420 @@
  * See LICENSE in the project root for license information.
  */
 
-/* global document, Office, Word */
+/* global document, Office */
+
+import { buildReferenceLayout, getDocumentPart, resolveTargets } from "./anchoring";
+import { executePlans, getRetryParts, OUTCOME_STATUS, planSuggestions } from "./apply-plan";
+import {
+    BULK_FILTER_TYPES,
+    describeBulkPlan,
+    getBulkFilterOptions,
+    matchesBulkFilter
+} from "./bulk-apply";
+import { getDocumentFile, getDocumentFileName } from "./document-file";
+import {
+    clearOverlay,
+    DEFAULT_OVERLAY_COLOR,
+    hasSavedOverlayMarks,
+    SEVERITY_COLORS,
+    syncOverlay
+} from "./highlight-overlay";
+import { loadFromAPI, validateSuggestions } from "./json-loader";
+import { buildStyleProfile, verifyAgainstProfile } from "./local-verifier";
+import { convertVerificationResult } from "./mismatch-suggestions";
+import { isRevertibleOperation, OOXML_SNAPSHOT_PATH } from "./operations";
+import {
+    getPendingDecisionCount,
+    getPendingDecisions,
+    recordDecision,
+    RESOLUTIONS,
+    restorePendingDecisions,
+    sendDecisions
+} from "./review-decisions";
+import {
+    getSavedPendingDecisions,
+    getSavedSessions,
+    getSessionKey,
+    removeSession,
+    restoreDecisions,
+    saveSession,
+    serializeDecisions
+} from "./review-session";
+import {
+    applyReviewComments,
+    findReviewComments,
+    getSuggestionKey,
+    insertReviewComments,
+    isCommentingSupported,
+    resolveReviewComments
+} from "./review-comments";
+import { resolveRunRangesBatch } from "./run-resolver";
+import { REPORT_FORMATS, buildSessionReport, downloadReport } from "./session-report";
+import { restoreSnapshot } from "./snapshots";
+import { createTemplateStyles, deleteCreatedStyles, findTemplateStyle, getStyleDisplayName } from "./style-resolver";
+import { getPreviewDiff, getPreviewFormatting, getSampleText } from "./suggestion-preview";
+import {
+    fetchTemplates,
+    fetchTemplateStyles,
+    fetchVerificationResults,
+    getApiBaseUrl,
+    getReviewerName,
+    setApiBaseUrl,
+    setReviewerName,
+    verifyDocument
+} from "./verification-api";
+import {
+    isDocumentTracking,
+    isRejectSupported,
+    isTrackChangesEnabled,
+    isTrackingChanges,
+    isTrackingSupported,
+    rejectTrackedChanges,
+    setTrackChangesEnabled,
+    withTrackedChanges
+} from "./tracked-changes";
+import { invalidateParagraphCache, runWordTask } from "./word-executor";
 
 Office.onReady((info) => {
     if (info.host === Office.HostType.Word) {
         document.getElementById("loadSuggestionsBtn").onclick = loadSuggestions;
+        document.getElementById("fileInput").onchange = handleFileLoad;
+        document.getElementById("loadResultsButton").onclick = loadVerificationResults;
+        document.getElementById("apiBaseUrlInput").value = getApiBaseUrl();
+        document.getElementById("loadTemplatesButton").onclick = loadTemplates;
+        document.getElementById("verifyDocumentButton").onclick = verifyOpenDocument;
+        document.getElementById("checkTemplateButton").onclick = checkAgainstTemplate;
+        document.getElementById("loadProfileButton").onclick = loadProfileFile;
+        document.getElementById("profileFileInput").onchange = handleProfileFileLoad;
+        document.getElementById("recheckButton").onclick = recheckDocument;
+        document.getElementById("reviewerNameInput").value = getReviewerName();
         document.getElementById("applyButton").onclick = applyCurrentSuggestion;
         document.getElementById("skipButton").onclick = skipCurrentSuggestion;
+        document.getElementById("rejectButton").onclick = rejectCurrentSuggestion;
+        document.getElementById("retryButton").onclick = retryFailedParts;
+        document.getElementById("revertAllButton").onclick = revertAllSuggestions;
+        document.getElementById("previousButton").onclick = moveToPreviousPosition;
+        document.getElementById("nextButton").onclick = moveToNextPosition;
+        document.getElementById("reviewSkippedButton").onclick = startSkippedReview;
+        document.getElementById("completionReviewSkippedButton").onclick = startSkippedReview;
+        document.getElementById("bulkDryRunButton").onclick = runBulkDryRun;
+        document.getElementById("bulkApplyButton").onclick = runBulkApply;
+        document.getElementById("importStylesButton").onclick = importMissingStyles;
+        document.getElementById("overlayButton").onclick = toggleOverlay;
+        document.getElementById("commentButton").onclick = commentCurrentSuggestion;
+        document.getElementById("commentAllButton").onclick = commentAllPending;
+        document.getElementById("trackChangesCheckbox").onchange = toggleTrackChanges;
+        document.getElementById("exportReportButton").onclick = exportReport;
         
         // Initialize the add-in
         initializeAddin();
     }
-});
+});
+
+// Badge text for review states not shown by their name
+const STATE_LABELS = {
+    "partial": "partially applied",
+    "partial-revert": "partially reverted"
+};
+
+// Global state
+let suggestions = null;
+let styleSuggestions = [];
+let currentQueue = "document";
+let currentSuggestionIndex = 0;
+let processedSuggestions = [];
+let referenceLayout = new Map();
+let skippedReviewQueue = null;
+let currentVerification = null;
+let missingStyleIds = [];
+let confirmedStyleIds = [];
+let templateStylesCache = null;
+let overlayActive = false;
+let reviewComments = [];
+let localProfile = null;
+
+/**
+ * Initialize the add-in
+ */
+function initializeAddin() {
+    showStatus("Welcome! Load your style suggestions JSON file or a verification result to get started.", "info");
+
+    // Decisions that had not reached the API when the document was last saved go out first
+    restorePendingDecisions(getSavedPendingDecisions());
+    if (getPendingDecisionCount() > 0) {
+        reportDecisions();
+    }
+
+    renderSavedSessions();
+
+    if (isCommentingSupported()) {
+        loadReviewComments();
+    } else {
+        document.getElementById("commentAllButton").classList.add("hidden");
+    }
+
+    document.getElementById("trackChangesCheckbox").checked = isTrackChangesEnabled();
+    document.getElementById("trackChangesOption").classList.toggle("hidden", !isTrackingSupported());
+
+    const reportFormatSelect = document.getElementById("reportFormatSelect");
+    Object.keys(REPORT_FORMATS).forEach(key => {
+        const option = document.createElement("option");
+        option.value = key;
+        option.textContent = REPORT_FORMATS[key].label;
+        reportFormatSelect.appendChild(option);
+    });
+
+    // A task pane closed with the overlay on leaves its marks in the document
+    if (hasSavedOverlayMarks()) {
+        exitOverlay();
+    }
+}
+
+/**
+ * List the review sessions saved in the document, each with Resume and Discard actions
+ */
+function renderSavedSessions() {
+    const sessions = getSavedSessions();
+    const list = document.getElementById("savedSessionsList");
+    list.innerHTML = "";
+
+    sessions.forEach(session => {
+        const total = session.suggestions.document.length + session.suggestions.styles.length;
+        const decided = new Set(session.decisions.map(decision => `${decision.queue}:${decision.index}`)).size;
+
+        const item = document.createElement("div");
+        item.className = "suggestion-list-item";
+
+        const message = document.createElement("span");
+        message.className = "suggestion-list-message";
+        const source = session.verification
+            ? `#${session.verification.id} ${session.verification.documentName} vs ${session.verification.templateName}`
+            : "Suggestions file";
+        message.textContent = `${source}: ${decided} of ${total} decided (${new Date(session.savedAt).toLocaleString()})`;
+        item.appendChild(message);
+
+        const resumeButton = document.createElement("button");
+        resumeButton.className = "nav-button";
+        resumeButton.textContent = "Resume";
+        resumeButton.onclick = () => resumeSession(session);
+        item.appendChild(resumeButton);
+
+        const discardButton = document.createElement("button");
+        discardButton.className = "nav-button";
+        discardButton.textContent = "Discard";
+        discardButton.onclick = () => discardSession(session.key);
+        item.appendChild(discardButton);
+
+        list.appendChild(item);
+    });
+
+    document.getElementById("savedSessionsSection").classList.toggle("hidden", sessions.length === 0);
+}
+
+/**
+ * Continue a saved review where it was left
+ */
+function resumeSession(session) {
+    processSuggestions({ verification: session.verification, suggestions: session.suggestions }, session);
+}
+
+/**
+ * Remove a saved review session from the document
+ */
+async function discardSession(key) {
+    try {
+        await removeSession(key);
+    } catch (error) {
+        console.error("Error discarding review session:", error);
+        showStatus("Error discarding review session: " + error.message, "error");
+    }
+    renderSavedSessions();
+}
+
+/**
+ * Save the current review in the document, so it can be resumed after Word is closed
+ */
+function persistSession() {
+    if (!suggestions) return;
+
+    saveSession({
+        key: getSessionKey(currentVerification),
+        verification: currentVerification,
+        suggestions: { document: suggestions, styles: styleSuggestions },
+        currentQueue: currentQueue,
+        currentSuggestionIndex: currentSuggestionIndex,
+        decisions: serializeDecisions(processedSuggestions)
+    }, getPendingDecisions());
+}
+
+/**
+ * Load suggestions from JSON file
+ */
+function loadSuggestions() {
+    const fileInput = document.getElementById("fileInput");
+    
+    // Cleared so that picking the same file again still fires onchange
+    fileInput.value = "";
+    fileInput.click();
+}
+
+/**
+ * List recent verification results from the API to pick one for review
+ */
+async function loadVerificationResults() {
+    const button = document.getElementById("loadResultsButton");
+
+    if (!saveApiBaseUrl()) {
+        return;
+    }
+
+    button.disabled = true;
+    showStatus("Loading verification results...", "info");
+
+    try {
+        const results = await fetchVerificationResults({ pageSize: 20 });
+        renderVerificationResults(results);
+        showStatus(results.length > 0 ? "Pick a verification result to review" : "No verification results found", "info");
+    } catch (error) {
+        console.error("Error loading verification results:", error);
+        showStatus("Error loading verification results: " + error.message, "error");
+    }
+
+    button.disabled = false;
+}
+
+/**
+ * Store the API base URL from its input, reporting an invalid one. Returns whether it was stored.
+ */
+function saveApiBaseUrl() {
+    try {
+        setApiBaseUrl(document.getElementById("apiBaseUrlInput").value);
+        return true;
+    } catch (error) {
+        showStatus(error.message, "error");
+        return false;
+    }
+}
+
+/**
+ * Render the verification results list, each loading its mismatches when clicked
+ */
+function renderVerificationResults(results) {
+    const list = document.getElementById("verificationResultsList");
+    list.innerHTML = "";
+
+    results.forEach(result => {
+        const item = document.createElement("div");
+        item.className = "suggestion-list-item";
+        item.onclick = () => loadVerificationResult(result.id);
+
+        const badge = document.createElement("span");
+        badge.className = "state-badge";
+        badge.textContent = `${result.totalMismatches}`;
+        item.appendChild(badge);
+
+        const message = document.createElement("span");
+        message.className = "suggestion-list-message";
+        message.textContent = `#${result.id} ${result.documentName} vs ${result.templateName} (${new Date(result.verificationDate).toLocaleString()})`;
+        item.appendChild(message);
+
+        list.appendChild(item);
+    });
+
+    list.classList.toggle("hidden", results.length === 0);
+}
+
+/**
+ * Load a verification result and review its mismatches as suggestions
+ */
+async function loadVerificationResult(id) {
+    showStatus(`Loading verification result #${id}...`, "info");
+
+    try {
+        reviewVerificationResult(await loadFromAPI(id));
+    } catch (error) {
+        console.error("Error loading verification result:", error);
+        showStatus("Error loading verification result: " + error.message, "error");
+    }
+}
+
+/**
+ * Start reviewing a converted verification result, reporting the mismatches left out
+ */
+function reviewVerificationResult(converted) {
+    processSuggestions(converted);
+
+    if (converted.unconvertible.length > 0) {
+        console.warn("Mismatches without an applicable fix:", converted.unconvertible);
+        showStatus(`Loaded ${suggestions.length} suggestions from verification #${converted.verification.id}. ` +
+            `${converted.unconvertible.length} mismatches have no automatic fix and were left out.`, "info");
+    }
+}
+
+/**
+ * List the active templates from the API to verify the open document against
+ */
+async function loadTemplates() {
+    const button = document.getElementById("loadTemplatesButton");
+    const select = document.getElementById("templateSelect");
+
+    if (!saveApiBaseUrl()) {
+        return;
+    }
+
+    button.disabled = true;
+    showStatus("Loading templates...", "info");
+
+    try {
+        const templates = await fetchTemplates({ status: "Active" });
+        select.innerHTML = "";
+
+        templates.forEach(template => {
+            const option = document.createElement("option");
+            option.value = template.id;
+            option.textContent = `${template.name} (v${template.version}, ${template.textStylesCount} styles)`;
+            select.appendChild(option);
+        });
+
+        if (templates.length === 0) {
+            const option = document.createElement("option");
+            option.value = "";
+            option.textContent = "No active templates";
+            select.appendChild(option);
+        }
+
+        document.getElementById("verifyDocumentButton").disabled = templates.length === 0;
+        document.getElementById("checkTemplateButton").disabled = templates.length === 0;
+        showStatus(templates.length > 0 ? "Pick a template and verify the document" : "No active templates found", "info");
+    } catch (error) {
+        console.error("Error loading templates:", error);
+        showStatus("Error loading templates: " + error.message, "error");
+    }
+
+    button.disabled = false;
+}
+
+/**
+ * Send the open document to the API for verification against the selected template and
+ * review the mismatches it finds
+ */
+async function verifyOpenDocument() {
+    const button = document.getElementById("verifyDocumentButton");
+    const templateId = parseInt(document.getElementById("templateSelect").value, 10);
+
+    if (isNaN(templateId)) {
+        showStatus("Pick a template to verify against", "error");
+        return;
+    }
+    if (!saveApiBaseUrl()) {
+        return;
+    }
+
+    const reviewerInput = document.getElementById("reviewerNameInput");
+    reviewerInput.value = setReviewerName(reviewerInput.value);
+
+    const ignoreStyleTypes = document.getElementById("ignoreStyleTypesInput").value
+        .split(",")
+        .map(styleType => styleType.trim())
+        .filter(styleType => styleType.length > 0);
+
+    button.disabled = true;
+    showStatus("Reading the document...", "info");
+
+    try {
+        const file = await getDocumentFile();
+
+        showStatus("Verifying the document against the template...", "info");
+        const result = await verifyDocument({
+            templateId: templateId,
+            file: file,
+            fileName: getDocumentFileName(),
+            createdBy: reviewerInput.value,
+            strictMode: document.getElementById("strictModeCheckbox").checked,
+            ignoreStyleTypes: ignoreStyleTypes
+        });
+
+        if (result.totalMismatches === 0) {
+            showStatus(`The document matches template "${result.templateName}"`, "success");
+        } else {
+            reviewVerificationResult(convertVerificationResult(result));
+        }
+    } catch (error) {
+        console.error("Error verifying the document:", error);
+        showStatus("Error verifying the document: " + error.message, "error");
+    }
+
+    button.disabled = false;
+}
+
+/**
+ * Check the open document in the add-in against the styles of the selected template, without
+ * sending it to the API for verification
+ */
+async function checkAgainstTemplate() {
+    const button = document.getElementById("checkTemplateButton");
+    const select = document.getElementById("templateSelect");
+    const templateId = parseInt(select.value, 10);
+
+    if (isNaN(templateId)) {
+        showStatus("Pick a template to check against", "error");
+        return;
+    }
+
+    button.disabled = true;
+    showStatus("Reading the template styles...", "info");
+
+    try {
+        const profile = buildStyleProfile(await getTemplateStyles(templateId));
+        profile.source = select.options[select.selectedIndex].textContent;
+        await checkDocument(profile);
+    } catch (error) {
+        console.error("Error checking the document against the template:", error);
+        showStatus("Error checking the document: " + error.message, "error");
+    }
+
+    button.disabled = false;
+}
+
+/**
+ * Pick a style profile file to check the open document against
+ */
+function loadProfileFile() {
+    const fileInput = document.getElementById("profileFileInput");
+
+    // Cleared so that picking the same file again still fires onchange
+    fileInput.value = "";
+    fileInput.click();
+}
+
+/**
+ * Check the open document against a style profile file: a JSON list of text styles, or a
+ * template styles response saved from the API
+ */
+function handleProfileFileLoad(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async function(e) {
+        try {
+            const profile = buildStyleProfile(JSON.parse(e.target.result));
+            profile.source = file.name;
+            await checkDocument(profile);
+        } catch (error) {
+            console.error("Error checking the document against the profile:", error);
+            showStatus("Error checking the document: " + error.message, "error");
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Check the open document again against the last profile, after it has been edited
+ */
+async function recheckDocument() {
+    const button = document.getElementById("recheckButton");
+    button.disabled = true;
+
+    try {
+        await checkDocument(localProfile);
+    } catch (error) {
+        console.error("Error checking the document again:", error);
+        showStatus("Error checking the document: " + error.message, "error");
+    }
+
+    button.disabled = false;
+}
+
+/**
+ * Check the open document against a profile and review the differences found. The profile is
+ * kept for checking again.
+ */
+async function checkDocument(profile) {
+    showStatus(`Checking the document against ${profile.source}...`, "info");
+
+    const payload = await runWordTask(wordContext => verifyAgainstProfile(wordContext, profile));
+    localProfile = profile;
+    document.getElementById("recheckButton").classList.remove("hidden");
+
+    const summary = payload.summary;
+    const unmatchedNote = summary.unmatched > 0 ? ` ${summary.unmatched} paragraphs have a style the profile does not cover.` : "";
+    if (payload.suggestions.document.length === 0) {
+        showStatus(`All ${summary.checked} checked paragraphs match ${profile.source}.${unmatchedNote}`, "success");
+        return;
+    }
+
+    processSuggestions(payload);
+    console.log(`Checked ${summary.checked} of ${summary.paragraphs} paragraphs against ${profile.source}: ${payload.suggestions.document.length} differ`);
+    if (unmatchedNote) {
+        showStatus(`${payload.suggestions.document.length} of ${summary.checked} checked paragraphs differ from ${profile.source}.${unmatchedNote}`, "info");
+    }
+}
+
+/**
+ * Handle file load from input
+ */
+function handleFileLoad(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const jsonData = JSON.parse(e.target.result);
+            processSuggestions(jsonData);
+        } catch (error) {
+            showStatus("Error reading JSON file: " + error.message, "error");
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Process the loaded suggestions, or a saved session's suggestions together with its decisions
+ */
+function processSuggestions(jsonData, savedSession = null) {
+    let validated;
+    try {
+        validated = validateSuggestions(jsonData);
+    } catch (error) {
+        console.error("Invalid suggestions payload:", error);
+        showStatus(error.message, "error");
+        return;
+    }
+
+    if (validated.migratedFrom) {
+        console.log(`Migrated suggestions from schemaVersion ${validated.migratedFrom} to ${validated.schemaVersion}`);
+    }
+    renderRejectedSuggestions(validated.rejected);
+
+    // The marks belong to the suggestions loaded before
+    if (overlayActive) {
+        exitOverlay();
+    }
+
+    suggestions = validated.suggestions.document;
+    styleSuggestions = validated.suggestions.styles;
+    currentQueue = suggestions.length > 0 ? "document" : "styles";
+    currentSuggestionIndex = 0;
+    processedSuggestions = [];
+    referenceLayout = buildReferenceLayout(suggestions);
+    skippedReviewQueue = null;
+    currentVerification = validated.verification;
+    templateStylesCache = null;
+    confirmedStyleIds = [];
+    offerStyleImport([]);
+
+    const rejectedNote = validated.rejected.length > 0 ? ` ${validated.rejected.length} invalid suggestions were rejected.` : "";
+    if (suggestions.length === 0 && styleSuggestions.length === 0) {
+        showStatus(`No suggestions found in the file.${rejectedNote}`, rejectedNote ? "error" : "info");
+        return;
+    }
+
+    if (savedSession) {
+        const queues = { document: suggestions, styles: styleSuggestions };
+        processedSuggestions = restoreDecisions(savedSession.decisions, queues);
+        if (queues[savedSession.currentQueue] && queues[savedSession.currentQueue][savedSession.currentSuggestionIndex]) {
+            currentQueue = savedSession.currentQueue;
+            currentSuggestionIndex = savedSession.currentSuggestionIndex;
+        }
+        showStatus(`Resumed review with ${processedSuggestions.length} earlier decisions`, "success");
+    } else {
+        showStatus(`Loaded ${suggestions.length} document and ${styleSuggestions.length} style suggestions successfully!${rejectedNote}`,
+            rejectedNote ? "error" : "success");
+    }
+    
+    // Hide load section and show main content
+    document.getElementById("loadSection").classList.add("hidden");
+    document.getElementById("mainContent").classList.remove("hidden");
+    document.getElementById("progressContainer").classList.remove("hidden");
+    document.getElementById("navigatorSection").classList.remove("hidden");
+    document.getElementById("bulkSection").classList.remove("hidden");
+    document.getElementById("reportSection").classList.remove("hidden");
+    populateBulkFilter();
+    renderHistory();
+
+    // Display the first suggestion, or where the saved session was left
+    displayCurrentSuggestion();
+
+    // Suggestions commented on in an earlier session are not asked about again
+    loadReviewComments();
+}
+
+/**
+ * List the suggestions rejected by validation with their errors
+ */
+function renderRejectedSuggestions(rejected) {
+    const list = document.getElementById("rejectedList");
+    list.innerHTML = "";
+
+    rejected.forEach(entry => {
+        console.warn(`Rejected ${entry.queue} suggestion ${entry.index + 1}:`, entry.errors);
+
+        const item = document.createElement("div");
+        item.className = "history-item";
+
+        const message = document.createElement("span");
+        message.className = "history-message";
+        message.textContent = `${entry.queue === "styles" ? "Style" : "Document"} suggestion ${entry.index + 1}: ${entry.errors.join("; ")}`;
+        message.title = entry.message ? `${entry.message}\n\n${entry.errors.join("\n")}` : entry.errors.join("\n");
+        item.appendChild(message);
+
+        list.appendChild(item);
+    });
+
+    document.getElementById("rejectedSection").classList.toggle("hidden", rejected.length === 0);
+}
+
+/**
+ * Get the suggestions of the queue currently under review
+ */
+function getActiveQueue() {
+    return currentQueue === "styles" ? styleSuggestions : suggestions;
+}
+
+/**
+ * List every suggestion position in review order: document suggestions first, then style definitions
+ */
+function getAllPositions() {
+    const positions = [];
+    (suggestions || []).forEach((suggestion, index) => positions.push({ queue: "document", index: index }));
+    styleSuggestions.forEach((styleSuggestion, index) => positions.push({ queue: "styles", index: index }));
+    return positions;
+}
+
+/**
+ * Get the position of the current suggestion in review order
+ */
+function getCurrentPosition() {
+    return (currentQueue === "styles" ? suggestions.length : 0) + currentSuggestionIndex;
+}
+
+/**
+ * Get the review state of a suggestion from its most recent decision:
+ * pending, applied, partial, skipped, rejected, commented, failed, reverted or partial-revert
+ */
+function getSuggestionState(queue, index) {
+    const latest = getLatestEntry(queue, index);
+
+    if (!latest) return "pending";
+    if (latest.reverted) return "reverted";
+    if (latest.partiallyReverted) return "partial-revert";
+    if (latest.failed) return "failed";
+    if (latest.skipped) return "skipped";
+    if (latest.rejected) return "rejected";
+    if (latest.commented) return "commented";
+    if (latest.partial) return "partial";
+    return latest.applied ? "applied" : "pending";
+}
+
+/**
+ * Get the most recent session history entry for a suggestion, or null
+ */
+function getLatestEntry(queue, index) {
+    let latest = null;
+    processedSuggestions.forEach(entry => {
+        if (entry.queue === queue && entry.index === index) latest = entry;
+    });
+    return latest;
+}
+
+/**
+ * Jump to a suggestion by queue and index
+ */
+function goToSuggestion(queue, index) {
+    currentQueue = queue;
+    currentSuggestionIndex = index;
+
+    document.getElementById("emptyState").classList.add("hidden");
+    document.getElementById("mainContent").classList.remove("hidden");
+    document.getElementById("progressContainer").classList.remove("hidden");
+
+    setButtonsEnabled(true);
+    displayCurrentSuggestion();
+}
+
+/**
+ * Step to the previous suggestion in review order, whatever its state
+ */
+function moveToPreviousPosition() {
+    const positions = getAllPositions();
+    const position = getCurrentPosition();
+    if (position > 0) {
+        goToSuggestion(positions[position - 1].queue, positions[position - 1].index);
+    }
+}
+
+/**
+ * Step to the next suggestion in review order, whatever its state
+ */
+function moveToNextPosition() {
+    const positions = getAllPositions();
+    const position = getCurrentPosition();
+    if (position < positions.length - 1) {
+        goToSuggestion(positions[position + 1].queue, positions[position + 1].index);
+    }
+}
+
+/**
+ * Start a pass over the skipped suggestions only
+ */
+function startSkippedReview() {
+    const skipped = getAllPositions().filter(position => getSuggestionState(position.queue, position.index) === "skipped");
+    if (skipped.length === 0) {
+        showStatus("There are no skipped suggestions to review", "info");
+        return;
+    }
+
+    // Each skipped suggestion is visited once, so skipping it again moves the pass along
+    skippedReviewQueue = skipped.slice(1);
+    showStatus(`Reviewing ${skipped.length} skipped suggestions`, "info");
+    goToSuggestion(skipped[0].queue, skipped[0].index);
+}
+
+/**
+ * Render the clickable list of all suggestions with their review state
+ */
+function renderSuggestionList() {
+    const list = document.getElementById("suggestionList");
+    const positions = getAllPositions();
+    const currentPosition = getCurrentPosition();
+    list.innerHTML = "";
+
+    positions.forEach((position, i) => {
+        const suggestion = position.queue === "styles" ? styleSuggestions[position.index] : suggestions[position.index];
+        const state = getSuggestionState(position.queue, position.index);
+
+        const item = document.createElement("div");
+        item.className = `suggestion-list-item${i === currentPosition ? " current" : ""}`;
+        item.onclick = () => goToSuggestion(position.queue, position.index);
+
+        const badge = document.createElement("span");
+        badge.className = `state-badge ${state}`;
+        badge.textContent = STATE_LABELS[state] || state;
+        item.appendChild(badge);
+
+        const message = document.createElement("span");
+        message.className = "suggestion-list-message";
+        message.textContent = `${i + 1}. ${position.queue === "styles" ? "[Style] " : ""}${suggestion.message}`;
+        item.appendChild(message);
+
+        list.appendChild(item);
+    });
+
+    const skippedCount = positions.filter(position => getSuggestionState(position.queue, position.index) === "skipped").length;
+    document.getElementById("reviewSkippedButton").textContent = `Review skipped (${skippedCount})`;
+    document.getElementById("reviewSkippedButton").disabled = skippedCount === 0;
+    document.getElementById("previousButton").disabled = currentPosition === 0;
+    document.getElementById("nextButton").disabled = currentPosition >= positions.length - 1;
+}
+
+/**
+ * Display the current suggestion
+ */
+function displayCurrentSuggestion() {
+    renderSuggestionList();
+    updateDecisionControls();
+
+    persistSession();
+
+    // Only decisions on verification mismatches are reported, so only they take a reason
+    const reasonInput = document.getElementById("decisionReasonInput");
+    reasonInput.value = "";
+    reasonInput.classList.toggle("hidden", !getActiveQueue()[currentSuggestionIndex].mismatchId);
+
+    if (currentQueue === "styles") {
+        displayCurrentStyleSuggestion();
+        return;
+    }
+
+    const suggestion = suggestions[currentSuggestionIndex];
+    const mainObject = suggestion.json_object[0];
+    const context = mainObject.formattingContext;
+
+    // Update progress
+    updateProgress();
+
+    // Update suggestion card
+    document.getElementById("suggestionTitle").textContent = 
+        `Suggestion ${currentSuggestionIndex + 1} of ${suggestions.length}`;
+    
+    document.getElementById("suggestionLocation").textContent = describeLocation(context);
+    
+    document.getElementById("suggestionMessage").textContent = suggestion.message;
+
+    document.getElementById("commentButton").classList.toggle("hidden", !isCommentingSupported());
+
+    // Update previews
+    updatePreviews(suggestion, 0);
+
+    // Navigate to the paragraph in Word
+    navigateToTarget(mainObject);
+}
+
+/**
+ * Describe where a formatting context points, e.g. "Header (Primary), Paragraph 1, Section 2"
+ */
+function describeLocation(context) {
+    const parts = [];
+    const documentPart = getDocumentPart(context);
+
+    if (documentPart.kind !== "Body") {
+        parts.push(`${documentPart.kind} (${documentPart.headerFooterType})`);
+    }
+
+    if (context.contentControlTag) {
+        parts.push(`Content control "${context.contentControlTag}"`);
+    } else if (context.tableIndex >= 0) {
+        parts.push(`Table ${context.tableIndex + 1}`);
+        if (context.rowIndex >= 0) parts.push(`Row ${context.rowIndex + 1}`);
+        if (context.cellIndex >= 0) parts.push(`Cell ${context.cellIndex + 1}`);
+    }
+
+    if (context.paragraphIndex >= 0) {
+        parts.push(`Paragraph ${context.paragraphIndex + 1}`);
+    }
+    if (context.sectionIndex > 0) {
+        parts.push(`Section ${context.sectionIndex + 1}`);
+    }
+
+    return parts.join(", ");
+}
+
+/**
+ * Display the current style definition suggestion
+ */
+function displayCurrentStyleSuggestion() {
+    const styleSuggestion = styleSuggestions[currentSuggestionIndex];
+
+    updateProgress();
+
+    document.getElementById("suggestionTitle").textContent = 
+        `Style suggestion ${currentSuggestionIndex + 1} of ${styleSuggestions.length}`;
+
+    document.getElementById("suggestionLocation").textContent = 
+        `Style definition: ${getStyleDisplayName(styleSuggestion.styleId)}`;
+
+    document.getElementById("suggestionMessage").textContent = styleSuggestion.message;
+
+    // Style definitions have no location in the body, so there is nothing to navigate to
+    document.getElementById("currentPreview").textContent = 
+        `Style "${getStyleDisplayName(styleSuggestion.styleId)}"\n\nChanges apply to every paragraph using this style.`;
+
+    const styleOps = styleSuggestion.ops.map(op => Object.assign({}, op, { prop: op.prop.replace(/^style\./, "") }));
+    renderPreviewSample("suggestedPreview", getStyleDisplayName(styleSuggestion.styleId), getPreviewFormatting({}, styleOps), "");
+
+    renderPreviewDiff(getPreviewDiff(null, styleSuggestion.ops, true));
+    renderAffectedParagraphs({ json_object: [] }, -1);
+
+    // A style definition has no text to comment on
+    document.getElementById("commentButton").classList.add("hidden");
+}
+
+/**
+ * Update the progress bar and text
+ */
+function updateProgress() {
+    const positions = getAllPositions();
+    const reviewed = positions.filter(position => getSuggestionState(position.queue, position.index) !== "pending").length;
+    const progress = (reviewed / positions.length) * 100;
+    document.getElementById("progressFill").style.width = `${progress}%`;
+    document.getElementById("progressText").textContent = 
+        `${skippedReviewQueue ? "Reviewing skipped: " : ""}Suggestion ${getCurrentPosition() + 1} of ${positions.length} (${reviewed} reviewed)`;
+}
+
+/**
+ * Update the preview for one target of a suggestion: its sample text drawn in the current
+ * and the suggested formatting, the property diff and, for several targets, the list of
+ * affected paragraphs
+ */
+function updatePreviews(suggestion, objIndex) {
+    const obj = suggestion.json_object[objIndex];
+    const sampleText = getSampleText(obj) || "(no sample text)";
+
+    renderPreviewSample("currentPreview", sampleText, getPreviewFormatting(obj), obj.basedOnStyle ? `Style: ${getStyleDisplayName(obj.basedOnStyle)}` : "");
+
+    const styleOp = suggestion.ops.find(op => op.prop === "paragraph.style" || op.prop === "paragraph.styleBuiltIn");
+    renderPreviewSample("suggestedPreview", sampleText, getPreviewFormatting(obj, suggestion.ops),
+        styleOp ? `Style: ${getStyleDisplayName(String(styleOp.to))} (its own formatting is not drawn)` : "");
+
+    renderPreviewDiff(getPreviewDiff(obj, suggestion.ops));
+    renderAffectedParagraphs(suggestion, objIndex);
+}
+
+/**
+ * Draw sample text with CSS formatting in a preview box, with an optional note under it
+ */
+function renderPreviewSample(elementId, text, css, note) {
+    const container = document.getElementById(elementId);
+    container.innerHTML = "";
+
+    const sample = document.createElement("div");
+    sample.className = "preview-sample";
+    sample.textContent = text;
+    Object.assign(sample.style, css);
+    container.appendChild(sample);
+
+    if (note) {
+        const noteElement = document.createElement("div");
+        noteElement.className = "preview-note";
+        noteElement.textContent = note;
+        container.appendChild(noteElement);
+    }
+}
+
+/**
+ * Fill the property diff table, one row per op
+ */
+function renderPreviewDiff(rows) {
+    const body = document.getElementById("previewDiffBody");
+    body.innerHTML = "";
+
+    rows.forEach(row => {
+        const tableRow = document.createElement("tr");
+        tableRow.className = row.error ? "invalid" : row.changed ? "changed" : "unchanged";
+        if (row.error) {
+            tableRow.title = row.error;
+        }
+
+        [row.label, row.current, row.error ? `${row.suggested} (invalid)` : row.suggested].forEach(text => {
+            const cell = document.createElement("td");
+            cell.textContent = text;
+            tableRow.appendChild(cell);
+        });
+        tableRow.firstChild.title = row.prop;
+        body.appendChild(tableRow);
+    });
+}
+
+/**
+ * List every paragraph a suggestion changes. Clicking one previews it and selects it in Word.
+ */
+function renderAffectedParagraphs(suggestion, selectedIndex) {
+    const section = document.getElementById("affectedParagraphs");
+    const list = document.getElementById("affectedParagraphList");
+    list.innerHTML = "";
+
+    if (suggestion.json_object.length < 2) {
+        section.classList.add("hidden");
+        return;
+    }
+
+    document.getElementById("affectedParagraphsTitle").textContent =
+        `Affects ${suggestion.json_object.length} paragraphs`;
+
+    suggestion.json_object.forEach((obj, objIndex) => {
+        const item = document.createElement("li");
+        item.className = objIndex === selectedIndex ? "selected" : "";
+        item.textContent = `${describeLocation(obj.formattingContext)}: "${getSampleText(obj)}"`;
+        item.onclick = () => {
+            updatePreviews(suggestion, objIndex);
+            navigateToTarget(obj);
+        };
+        list.appendChild(item);
+    });
+    section.classList.remove("hidden");
+}
+
+/**
+ * Navigate to the target paragraph in Word
+ */
+async function navigateToTarget(obj) {
+    try {
+        await runWordTask(async (wordContext, paragraphCache) => {
+            const [target] = await resolveTargets(wordContext, [obj], referenceLayout, paragraphCache);
+            
+            if (target.paragraphs.length > 0) {
+                target.paragraphs[0].select();
+                await wordContext.sync();
+                
+                if (target.located.message) {
+                    showStatus(`Navigated to target paragraph. ${target.located.message}`, "info");
+                } else {
+                    showStatus("Navigated to target paragraph", "info");
+                }
+            } else {
+                showStatus(`Warning: ${target.located.message}. This suggestion cannot be applied safely.`, "error");
+            }
+        });
+    } catch (error) {
+        console.error("Error navigating to paragraph:", error);
+        showStatus("Error navigating to paragraph: " + error.message, "error");
+    }
+}
+
+/**
+ * Apply the current suggestion
+ */
+async function applyCurrentSuggestion() {
+    if (currentSuggestionIndex >= getActiveQueue().length) return;
+
+    if (currentQueue === "styles") {
+        await applyCurrentStyleSuggestion();
+        return;
+    }
+
+    const suggestion = suggestions[currentSuggestionIndex];
+    const entry = { queue: currentQueue, index: currentSuggestionIndex, suggestion: suggestion };
+
+    // Disable buttons during processing
+    setButtonsEnabled(false);
+    showStatus("Applying suggestion...", "info");
+
+    let createdStyles = [];
+    try {
+        const result = await runWordTask(async (wordContext, paragraphCache) => {
+            await clearOverlayMarks(wordContext, paragraphCache, [entry]);
+            // All ops on all targets go to Word in a single sync
+            const applied = await applyWithTemplateStyles(wordContext, [entry], paragraphCache);
+            const [planResult] = applied.results;
+            createdStyles = applied.createdStyles;
+            planResult.plan.targets.forEach(planned => {
+                console.log(`Applied changes to ${planned.obj.formattingContext.contextKey} (${planned.located.status}): "${planned.obj.formattingContext.sampleText}"`);
+            });
+            return planResult;
+        });
+        
+        recordPlanResult(result, getDecisionReason());
+        offerStyleImport(result.plan.missingStyles);
+        if (!result.applied) {
+            throw result.error;
+        }
+        
+        const warnings = getPlanWarnings(result);
+        warnings.forEach(warning => console.warn(warning));
+        
+        const unresolvedCount = result.plan.unresolvedTargets.length;
+        if (result.partial) {
+            const detail = unresolvedCount > 0
+                ? `${unresolvedCount} of ${suggestion.json_object.length} targets were not found or have drifted and were left unchanged.`
+                : `${warnings[0]}.`;
+            showStatus(`Suggestion partially applied (${describeOutcomeCounts(result.outcomes)}): ${detail}${describeCreatedStyles(createdStyles)}`, "error");
+
+            // Stay on the suggestion, so the failed parts can be retried
+            setButtonsEnabled(true);
+            refreshCurrentSuggestion();
+            return;
+        }
+        showStatus(`Suggestion applied${isTrackingChanges() ? " as tracked changes" : ""} successfully!${describeCreatedStyles(createdStyles)}`, "success");
+        
+        // Move to next suggestion
+        setTimeout(() => {
+            moveToNextSuggestion();
+        }, 1000);
+    } catch (error) {
+        console.error("Error applying suggestion:", error);
+        showStatus("Error applying suggestion: " + error.message, "error");
+        setButtonsEnabled(true);
+        refreshCurrentSuggestion();
+    }
+}
+
+/**
+ * Apply the current style definition suggestion to the document's styles collection
+ */
+async function applyCurrentStyleSuggestion() {
+    const styleSuggestion = styleSuggestions[currentSuggestionIndex];
+    let styleName = getStyleDisplayName(styleSuggestion.styleId);
+    const entry = { queue: currentQueue, index: currentSuggestionIndex, suggestion: styleSuggestion };
+
+    setButtonsEnabled(false);
+    showStatus(`Updating style "${styleName}"...`, "info");
+
+    let createdStyles = [];
+    try {
+        const result = await runWordTask(async (wordContext) => {
+            const applied = await applyWithTemplateStyles(wordContext, [entry]);
+            createdStyles = applied.createdStyles;
+            return applied.results[0];
+        });
+
+        recordPlanResult(result);
+        offerStyleImport(result.plan.missingStyles);
+        styleName = result.plan.styleName;
+        if (!result.applied) {
+            throw result.error;
+        }
+
+        const warnings = getPlanWarnings(result);
+        warnings.forEach(warning => console.warn(warning));
+
+        if (result.partial) {
+            showStatus(`Style "${styleName}" partially updated (${describeOutcomeCounts(result.outcomes)}): ${warnings[0]}${describeCreatedStyles(createdStyles)}`, "error");
+            setButtonsEnabled(true);
+            refreshCurrentSuggestion();
+            return;
+        }
+        showStatus(`Style "${styleName}" updated successfully!${describeCreatedStyles(createdStyles)}`, "success");
+
+        setTimeout(() => {
+            moveToNextSuggestion();
+        }, 1000);
+    } catch (error) {
+        console.error("Error applying style suggestion:", error);
+        showStatus("Error applying style suggestion: " + error.message, "error");
+        setButtonsEnabled(true);
+        refreshCurrentSuggestion();
+    }
+}
+
+/**
+ * Record the outcome of applying a plan in the session history, and queue an applied
+ * mismatch's decision for the API
+ */
+function recordPlanResult(result, reason) {
+    const entry = {
+        index: result.plan.index,
+        queue: result.plan.queue,
+        suggestion: result.plan.suggestion,
+        applied: result.applied,
+        reason: reason || "",
+        outcomes: result.outcomes,
+        retry: Boolean(result.plan.retryParts),
+        timestamp: new Date()
+    };
+    if (result.plan.missingStyles.length > 0) {
+        entry.missingStyles = result.plan.missingStyles;
+    }
+
+    if (result.applied) {
+        entry.partial = result.partial;
+        entry.tracked = isTrackingChanges();
+        if (result.trackedPeriod) {
+            entry.trackedPeriod = result.trackedPeriod;
+        }
+        entry.warnings = getPlanWarnings(result);
+        entry.snapshots = result.plan.snapshots;
+        entry.unresolvedTargets = result.plan.unresolvedTargets;
+        entry.styleName = result.plan.styleName;
+        if (result.plan.createdStyles && result.plan.createdStyles.length > 0) {
+            entry.createdStyles = result.plan.createdStyles;
+        }
+        if (recordDecision(entry.suggestion, RESOLUTIONS.ACCEPTED, reason)) {
+            reportDecisions();
+        }
+    } else {
+        entry.failed = true;
+        entry.error = result.error.message;
+    }
+
+    processedSuggestions.push(entry);
+}
+
+/**
+ * List the parts of an applied plan that did not go through: invalid ops, runs not found and ops Word rejected
+ */
+function getPlanWarnings(result) {
+    const warnings = result.plan.invalidOps.map(invalid => `Could not apply ${invalid.op.prop}: ${invalid.message}`);
+
+    (result.plan.targets || []).forEach(planned => {
+        if (planned.runError) {
+            warnings.push(`Could not apply font changes to ${planned.obj.formattingContext.contextKey}: ${planned.runError.message}`);
+        }
+    });
+
+    result.failedOps.forEach(failed => {
+        warnings.push(`Could not apply ${failed.op.prop} change to ${failed.contextKey}: ${failed.error.message}`);
+    });
+
+    return warnings;
+}
+
+/**
+ * Count the outcomes of an apply for a status message, e.g. "5 changes applied, 2 failed, 1 skipped"
+ */
+function describeOutcomeCounts(outcomes) {
+    const count = status => outcomes.filter(outcome => outcome.status === status).length;
+    const failed = count(OUTCOME_STATUS.FAILED);
+    const skipped = count(OUTCOME_STATUS.SKIPPED);
+    return `${count(OUTCOME_STATUS.SUCCEEDED)} changes applied${failed > 0 ? `, ${failed} failed` : ""}${skipped > 0 ? `, ${skipped} skipped` : ""}`;
+}
+
+/**
+ * Set the Apply, Skip, Reject and Retry buttons and the outcome list for the state of the current suggestion
+ */
+function updateDecisionControls() {
+    const state = getSuggestionState(currentQueue, currentSuggestionIndex);
+    const isApplied = state === "applied" || state === "partial" || state === "partial-revert";
+
+    // An applied suggestion has to be reverted before it can be applied, skipped or rejected again;
+    // what failed can be retried
+    document.getElementById("applyButton").disabled = isApplied;
+    document.getElementById("skipButton").disabled = isApplied;
+    document.getElementById("rejectButton").disabled = isApplied;
+    document.getElementById("retryButton").classList.toggle("hidden", state !== "partial" && state !== "failed");
+
+    renderApplyOutcome(state === "partial" || state === "failed" ? getLatestEntry(currentQueue, currentSuggestionIndex) : null);
+}
+
+/**
+ * List the ops and targets that did not go through when the current suggestion was last applied
+ */
+function renderApplyOutcome(entry) {
+    const container = document.getElementById("applyOutcome");
+    const list = document.getElementById("applyOutcomeList");
+    list.innerHTML = "";
+
+    const outcomes = entry && entry.outcomes ? entry.outcomes : [];
+    const unsuccessful = outcomes.filter(outcome => outcome.status !== OUTCOME_STATUS.SUCCEEDED);
+    container.classList.toggle("hidden", unsuccessful.length === 0);
+    if (unsuccessful.length === 0) {
+        return;
+    }
+
+    document.getElementById("applyOutcomeTitle").textContent = `Last apply: ${describeOutcomeCounts(outcomes)}`;
+    unsuccessful.forEach(outcome => {
+        const item = document.createElement("li");
+        item.className = outcome.status;
+        item.textContent = `${outcome.prop}${outcome.contextKey ? ` on ${outcome.contextKey}` : ""}: ${outcome.status}${outcome.code ? ` (${outcome.code})` : ""}${outcome.message ? ` ${outcome.message}` : ""}`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Apply again only the ops and targets of the current suggestion that failed or were skipped
+ * the last time. A retry that gets nothing through leaves a partially applied suggestion as it was.
+ */
+async function retryFailedParts() {
+    const latest = getLatestEntry(currentQueue, currentSuggestionIndex);
+    if (!latest || (!latest.partial && !latest.failed)) return;
+
+    const entry = {
+        queue: currentQueue,
+        index: currentSuggestionIndex,
+        suggestion: getActiveQueue()[currentSuggestionIndex],
+        retryParts: getRetryParts(latest.outcomes)
+    };
+
+    setButtonsEnabled(false);
+    showStatus("Retrying the failed changes...", "info");
+
+    let createdStyles = [];
+    try {
+        const result = await runWordTask(async (wordContext, paragraphCache) => {
+            if (entry.queue === "document") {
+                await clearOverlayMarks(wordContext, paragraphCache, [entry]);
+            }
+            const applied = await applyWithTemplateStyles(wordContext, [entry], paragraphCache);
+            createdStyles = applied.createdStyles;
+            return applied.results[0];
+        });
+
+        if (result.applied || latest.failed) {
+            recordPlanResult(result, "Retried failed changes");
+        }
+        offerStyleImport(result.plan.missingStyles);
+        if (!result.applied) {
+            throw result.error;
+        }
+
+        if (result.partial) {
+            showStatus(`Retry partially applied (${describeOutcomeCounts(result.outcomes)})${describeCreatedStyles(createdStyles)}`, "error");
+            setButtonsEnabled(true);
+            refreshCurrentSuggestion();
+            return;
+        }
+
+        showStatus(`The failed changes were applied${describeCreatedStyles(createdStyles)}`, "success");
+        setTimeout(() => {
+            moveToNextSuggestion();
+        }, 1000);
+    } catch (error) {
+        console.error("Error retrying failed changes:", error);
+        showStatus("Error retrying failed changes: " + error.message, "error");
+        setButtonsEnabled(true);
+        refreshCurrentSuggestion();
+    }
+}
+
+/**
+ * Revert an applied suggestion from the snapshots taken before it was applied, or, when it was
+ * applied as tracked changes, by rejecting its revisions
+ */
+async function revertSuggestion(entry) {
+    // Styles created for other applied suggestions too are kept for those
+    const removableStyles = (entry.createdStyles || []).filter(name => !processedSuggestions.some(other =>
+        other !== entry && other.applied && (other.createdStyles || []).includes(name)));
+
+    const result = await runWordTask(async (wordContext, paragraphCache) => {
+        if (entry.queue === "styles") {
+            const styleName = entry.styleName || getStyleDisplayName(entry.suggestion.styleId);
+            const style = wordContext.document.getStyles().getByNameOrNullObject(styleName);
+            style.load("nameLocal");
+            await wordContext.sync();
+
+            if (style.isNullObject) {
+                throw new Error(`Style "${styleName}" no longer exists in this document`);
+            }
+
+            restoreSnapshot(style, entry.snapshots[0].data);
+            await wordContext.sync();
+            await deleteCreatedStyles(wordContext, removableStyles);
+            return;
+        }
+
+        // Snapshots restored by an earlier, partial revert are not written again
+        const pending = entry.snapshots
+            .map((snapshot, snapshotIndex) => ({ snapshot: snapshot, snapshotIndex: snapshotIndex }))
+            .filter(item => !(entry.revertedSnapshots || []).includes(item.snapshotIndex));
+        let targets = await resolveTargets(wordContext, entry.suggestion.json_object, referenceLayout, paragraphCache);
+
+        // A tracked apply is undone by rejecting its revisions, so reverting adds none of its own.
+        // Once they were accepted or rejected in Word, the snapshots are written back instead.
+        if (entry.trackedPeriod && isRejectSupported()) {
+            const rejected = await rejectAppliedRevisions(wordContext, pending, targets, entry.trackedPeriod);
+            if (rejected) {
+                if (rejected.missing === 0) {
+                    await deleteCreatedStyles(wordContext, removableStyles);
+                }
+                return rejected;
+            }
+        }
+
+        if (pending.some(item => item.snapshot.data[OOXML_SNAPSHOT_PATH] !== undefined) && await isDocumentTracking(wordContext)) {
+            throw new Error("Turn off change tracking to revert this suggestion: Word would record writing its paragraphs' OOXML back as deleting and inserting them");
+        }
+
+        const restored = [];
+        let missing = 0;
+
+        // Paragraph properties first: restoring a style or OOXML resets the runs inside
+        let rewritten = false;
+        pending.filter(item => item.snapshot.runIndex === -1).forEach(item => {
+            const paragraph = targets[item.snapshot.objIndex].paragraphs[item.snapshot.paragraphOffset];
+            if (paragraph) {
+                rewritten = restoreSnapshot(paragraph, item.snapshot.data) || rewritten;
+                restored.push(item.snapshotIndex);
+            } else {
+                missing++;
+            }
+        });
+        await wordContext.sync();
+
+        // Rewritten paragraphs are new objects in Word, so they are found again for the runs
+        if (rewritten) {
+            invalidateParagraphCache();
+            targets = await resolveTargets(wordContext, entry.suggestion.json_object, referenceLayout, paragraphCache);
+        }
+
+        // The runs are found again in one batch, since restoring the paragraph may have replaced them
+        const runRequests = pending.filter(item => item.snapshot.runIndex !== -1).map(item => ({
+            item: item,
+            obj: targets[item.snapshot.objIndex].obj,
+            paragraph: targets[item.snapshot.objIndex].paragraphs[item.snapshot.paragraphOffset]
+        }));
+        const foundRequests = runRequests.filter(request => request.paragraph);
+        missing += runRequests.length - foundRequests.length;
+
+        try {
+            const runResults = await resolveRunRangesBatch(wordContext, foundRequests);
+            const restoredRuns = [];
+            foundRequests.forEach((request, i) => {
+                const range = runResults[i].ranges[request.item.snapshot.runIndex];
+                if (range) {
+                    restoreSnapshot(range, request.item.snapshot.data);
+                    restoredRuns.push(request.item.snapshotIndex);
+                } else {
+                    missing++;
+                }
+            });
+            await wordContext.sync();
+            restoredRuns.forEach(snapshotIndex => restored.push(snapshotIndex));
+        } catch (error) {
+            // The paragraphs are restored already, so what was restored is still recorded
+            console.error("Error restoring the runs:", error);
+            missing += foundRequests.length;
+        }
+
+        // Styles created for the suggestion go once nothing of it is left in the document
+        if (missing === 0) {
+            await deleteCreatedStyles(wordContext, removableStyles);
+        }
+        return { restored: restored, missing: missing };
+    });
+
+    // Each restored target is recorded, so the history matches the document after a partial revert
+    if (result) {
+        entry.revertedSnapshots = (entry.revertedSnapshots || []).concat(result.restored);
+        if (result.missing > 0) {
+            entry.partiallyReverted = entry.revertedSnapshots.length > 0;
+            throw new Error(`${result.missing} changed ranges could not be found anymore and were left as they are${entry.partiallyReverted ? "; the rest was reverted" : ""}`);
+        }
+    }
+
+    entry.applied = false;
+    entry.partiallyReverted = false;
+    entry.reverted = true;
+    entry.revertedAt = new Date();
+
+    if (recordDecision(entry.suggestion, RESOLUTIONS.REVERTED, "")) {
+        reportDecisions();
+    }
+}
+
+/**
+ * Reject the revisions a tracked apply made on the paragraphs of the snapshots not reverted
+ * yet. Returns { restored, missing } as a snapshot restore does, or null when none of its
+ * revisions are left to reject.
+ */
+async function rejectAppliedRevisions(wordContext, pending, targets, trackedPeriod) {
+    const ranges = [];
+    const seen = [];
+    const restored = [];
+    let missing = 0;
+    pending.forEach(item => {
+        const paragraph = targets[item.snapshot.objIndex].paragraphs[item.snapshot.paragraphOffset];
+        if (!paragraph) {
+            missing++;
+            return;
+        }
+        if (!seen.includes(paragraph)) {
+            seen.push(paragraph);
+            ranges.push(paragraph.getRange("Whole"));
+        }
+        restored.push(item.snapshotIndex);
+    });
+
+    const rejected = await rejectTrackedChanges(wordContext, ranges, trackedPeriod);
+    return rejected > 0 ? { restored: restored, missing: missing } : null;
+}
+
+/**
+ * Revert a single applied suggestion from the session history
+ */
+async function revertHistoryEntry(entry) {
+    showStatus("Reverting suggestion...", "info");
+
+    try {
+        await revertSuggestion(entry);
+        showStatus("Suggestion reverted", "success");
+    } catch (error) {
+        console.error("Error reverting suggestion:", error);
+        showStatus("Error reverting suggestion: " + error.message, "error");
+    }
+
+    renderHistory();
+    refreshCurrentSuggestion();
+}
+
+/**
+ * Refresh the suggestion card and list after a state change outside the normal flow
+ */
+function refreshCurrentSuggestion() {
+    persistSession();
+    renderSuggestionList();
+    refreshOverlay();
+    if (!document.getElementById("mainContent").classList.contains("hidden")) {
+        updateProgress();
+        updateDecisionControls();
+    }
+}
+
+/**
+ * Get the changes of an applied suggestion that reverting cannot undo, such as a new list
+ * numbering format: the ops that went through and change a list definition
+ */
+function getIrreversibleOps(entry) {
+    const props = [];
+    (entry.outcomes || []).forEach(outcome => {
+        if (outcome.status === OUTCOME_STATUS.SUCCEEDED && !isRevertibleOperation(outcome) && !props.includes(outcome.prop)) {
+            props.push(outcome.prop);
+        }
+    });
+    return props;
+}
+
+/**
+ * Whether reverting an applied suggestion would undo anything: not when all it changed was
+ * list definitions
+ */
+function canRevert(entry) {
+    const irreversible = getIrreversibleOps(entry);
+    return irreversible.length === 0 ||
+        (entry.outcomes || []).some(outcome => outcome.status === OUTCOME_STATUS.SUCCEEDED && !irreversible.includes(outcome.prop));
+}
+
+/**
+ * Revert every suggestion applied this session, most recent first. Suggestions that only
+ * changed list definitions are left as they are.
+ */
+async function revertAllSuggestions() {
+    const applied = processedSuggestions
+        .filter(entry => entry.applied && entry.snapshots && canRevert(entry))
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+    if (applied.length === 0) return;
+
+    showStatus(`Reverting ${applied.length} suggestions...`, "info");
+    let failed = 0;
+
+    for (const entry of applied) {
+        try {
+            await revertSuggestion(entry);
+        } catch (error) {
+            console.error("Error reverting suggestion:", error);
+            failed++;
+        }
+    }
+
+    if (failed > 0) {
+        showStatus(`Reverted ${applied.length - failed} suggestions, ${failed} could not be reverted`, "error");
+    } else {
+        showStatus(`Reverted ${applied.length} suggestions`, "success");
+    }
+
+    renderHistory();
+    refreshCurrentSuggestion();
+}
+
+/**
+ * Render the list of suggestions applied this session, each with a Revert action
+ */
+function renderHistory() {
+    const entries = processedSuggestions.filter(entry => entry.applied || entry.reverted);
+    const historyList = document.getElementById("historyList");
+
+    document.getElementById("historySection").classList.toggle("hidden", entries.length === 0);
+    document.getElementById("revertAllButton").disabled = !entries.some(entry => entry.applied && canRevert(entry));
+    historyList.innerHTML = "";
+
+    entries.forEach(entry => {
+        const item = document.createElement("div");
+        item.className = "history-item";
+
+        const message = document.createElement("div");
+        message.className = "history-message";
+        const irreversible = getIrreversibleOps(entry);
+        message.textContent = `${entry.suggestion.message}${entry.retry ? " (retry)" : ""}${entry.partial ? " (partially applied)" : ""}${entry.partiallyReverted ? " (partially reverted)" : ""}`;
+        if (irreversible.length > 0) {
+            message.textContent += ` (${irreversible.join(", ")} cannot be reverted)`;
+        }
+        item.appendChild(message);
+
+        const revertButton = document.createElement("button");
+        revertButton.className = "revert-button";
+        revertButton.textContent = entry.reverted ? "Reverted" : entry.partiallyReverted ? "Revert the rest" : "Revert";
+        revertButton.disabled = entry.reverted || !canRevert(entry);
+        if (irreversible.length > 0) {
+            revertButton.title = "Changes to the list definition stay; undo them with Ctrl+Z or in Word's numbering settings";
+        }
+        revertButton.onclick = () => revertHistoryEntry(entry);
+        item.appendChild(revertButton);
+
+        historyList.appendChild(item);
+    });
+}
+
+/**
+ * Fill the bulk apply filter with "all" and one choice per op, style type and structural role
+ */
+function populateBulkFilter() {
+    const select = document.getElementById("bulkFilterSelect");
+    const options = getBulkFilterOptions(suggestions, styleSuggestions);
+    select.innerHTML = "";
+
+    const addOption = (parent, type, value, label) => {
+        const option = document.createElement("option");
+        option.value = `${type}:${value}`;
+        option.textContent = label;
+        parent.appendChild(option);
+    };
+
+    addOption(select, BULK_FILTER_TYPES.ALL, "", "All open suggestions");
+    [
+        { type: BULK_FILTER_TYPES.PROP, label: "By op" },
+        { type: BULK_FILTER_TYPES.STYLE_TYPE, label: "By style type" },
+        { type: BULK_FILTER_TYPES.STRUCTURAL_ROLE, label: "By structural role" }
+    ].forEach(group => {
+        if (options[group.type].length === 0) return;
+
+        const optionGroup = document.createElement("optgroup");
+        optionGroup.label = group.label;
+        options[group.type].forEach(value => addOption(optionGroup, group.type, value, value));
+        select.appendChild(optionGroup);
+    });
+
+    document.getElementById("bulkPreview").classList.add("hidden");
+}
+
+/**
+ * Get the open suggestions (pending, skipped or failed) matching the selected bulk filter
+ */
+function getBulkEntries() {
+    const selected = document.getElementById("bulkFilterSelect").value;
+    const separator = selected.indexOf(":");
+    const filter = { type: selected.substring(0, separator), value: selected.substring(separator + 1) };
+
+    return getAllPositions()
+        .filter(position => ["pending", "skipped", "failed"].includes(getSuggestionState(position.queue, position.index)))
+        .map(position => ({
+            queue: position.queue,
+            index: position.index,
+            suggestion: position.queue === "styles" ? styleSuggestions[position.index] : suggestions[position.index]
+        }))
+        .filter(entry => matchesBulkFilter(entry.suggestion, filter));
+}
+
+/**
+ * List exactly which paragraphs and styles the selected bulk apply would change, and how
+ */
+async function runBulkDryRun() {
+    const entries = getBulkEntries();
+    if (entries.length === 0) {
+        showStatus("No open suggestions match this filter", "info");
+        return;
+    }
+
+    setBulkButtonsEnabled(false);
+    showStatus(`Planning ${entries.length} suggestions...`, "info");
+
+    try {
+        await runWordTask(async (wordContext, paragraphCache) => {
+            const plans = await planSuggestions(wordContext, entries, referenceLayout, paragraphCache);
+            renderBulkPreview(plans);
+            const missingStyles = getMissingStyles(plans);
+            offerStyleImport(missingStyles);
+
+            const blocked = plans.filter(plan => plan.error).length;
+            const styleNote = missingStyles.length > 0 && getStyleTemplateId() !== null
+                ? " Missing styles can be created from the template before applying."
+                : "";
+            showStatus(`Dry run: ${plans.length - blocked} of ${plans.length} suggestions would be applied.${styleNote} Nothing was changed.`, "info");
+        });
+    } catch (error) {
+        console.error("Error planning bulk apply:", error);
+        showStatus("Error planning bulk apply: " + error.message, "error");
+    }
+
+    setBulkButtonsEnabled(true);
+}
+
+/**
+ * Render a dry-run plan, one block per suggestion
+ */
+function renderBulkPreview(plans) {
+    const preview = document.getElementById("bulkPreview");
+    preview.innerHTML = "";
+
+    plans.forEach(plan => {
+        const item = document.createElement("div");
+        item.className = `bulk-preview-item${plan.error ? " blocked" : ""}`;
+
+        const title = document.createElement("div");
+        title.className = "bulk-preview-title";
+        title.textContent = `${plan.queue === "styles" ? `[Style ${plan.styleName}] ` : ""}${plan.suggestion.message}`;
+        item.appendChild(title);
+
+        const changes = document.createElement("pre");
+        changes.className = "bulk-preview-changes";
+        changes.textContent = describeBulkPlan(plan).join("\n");
+        item.appendChild(changes);
+
+        preview.appendChild(item);
+    });
+
+    preview.classList.remove("hidden");
+}
+
+/**
+ * Apply every open suggestion matching the selected bulk filter
+ */
+async function runBulkApply() {
+    const entries = getBulkEntries();
+    if (entries.length === 0) {
+        showStatus("No open suggestions match this filter", "info");
+        return;
+    }
+
+    setBulkButtonsEnabled(false);
+    setButtonsEnabled(false);
+    showStatus(`Applying ${entries.length} suggestions...`, "info");
+
+    let createdStyles = [];
+    try {
+        const results = await runWordTask(async (wordContext, paragraphCache) => {
+            await clearOverlayMarks(wordContext, paragraphCache, entries);
+            const applied = await applyWithTemplateStyles(wordContext, entries, paragraphCache, (done, total) => {
+                showStatus(`Applying suggestions... ${done} of ${total}`, "info");
+            });
+            createdStyles = applied.createdStyles;
+            return applied.results;
+        });
+
+        results.forEach(result => recordPlanResult(result, "Applied in bulk"));
+        offerStyleImport(getMissingStyles(results.map(result => result.plan)));
+
+        const appliedCount = results.filter(result => result.applied).length;
+        const failedCount = results.length - appliedCount;
+        const partialCount = results.filter(result => result.partial).length;
+        showStatus(
+            `Bulk apply: ${appliedCount} applied${isTrackingChanges() ? " as tracked changes" : ""}${partialCount > 0 ? ` (${partialCount} partially)` : ""}${failedCount > 0 ? `, ${failedCount} failed` : ""}.${describeCreatedStyles(createdStyles)}`,
+            failedCount > 0 || partialCount > 0 ? "error" : "success");
+    } catch (error) {
+        console.error("Error in bulk apply:", error);
+        showStatus("Error in bulk apply: " + error.message, "error");
+    }
+
+    document.getElementById("bulkPreview").classList.add("hidden");
+    setBulkButtonsEnabled(true);
+    setButtonsEnabled(true);
+    renderHistory();
+
+    if (getSuggestionState(currentQueue, currentSuggestionIndex) === "pending") {
+        refreshCurrentSuggestion();
+    } else {
+        skippedReviewQueue = null;
+        moveToNextSuggestion();
+    }
+}
+
+/**
+ * Enable or disable the bulk apply buttons
+ */
+function setBulkButtonsEnabled(enabled) {
+    document.getElementById("bulkDryRunButton").disabled = !enabled;
+    document.getElementById("bulkApplyButton").disabled = !enabled;
+}
+
+/**
+ * Collect the styles that plans need but the document does not have
+ */
+function getMissingStyles(plans) {
+    const styleIds = [];
+    plans.forEach(plan => plan.missingStyles.forEach(styleId => {
+        if (!styleIds.includes(styleId)) {
+            styleIds.push(styleId);
+        }
+    }));
+    return styleIds;
+}
+
+/**
+ * Show which styles the document lacks, asking whether to create them from the template.
+ * An empty list hides the notice.
+ */
+function offerStyleImport(styleIds) {
+    missingStyleIds = styleIds;
+    document.getElementById("missingStylesSection").classList.toggle("hidden", styleIds.length === 0);
+    document.getElementById("missingStylesText").textContent = (styleIds.length === 1
+        ? `Style "${styleIds[0]}" does not exist in this document.`
+        : `These styles do not exist in this document: ${styleIds.map(styleId => `"${styleId}"`).join(", ")}.`) +
+        " Create them from the template?";
+}
+
+/**
+ * Get the template to import styles from: the one the loaded verification used, or the one
+ * picked for verifying. Returns null when there is neither.
+ */
+function getStyleTemplateId() {
+    if (currentVerification && currentVerification.templateId) {
+        return currentVerification.templateId;
+    }
+    const templateId = parseInt(document.getElementById("templateSelect").value, 10);
+    return isNaN(templateId) ? null : templateId;
+}
+
+/**
+ * Get the styles extracted from a template, fetching them once per template
+ */
+async function getTemplateStyles(templateId) {
+    if (!templateStylesCache || templateStylesCache.templateId !== templateId) {
+        templateStylesCache = { templateId: templateId, styles: await fetchTemplateStyles(templateId) };
+    }
+    return templateStylesCache.styles;
+}
+
+/**
+ * Plan suggestions, first creating the styles they need that the document lacks from the
+ * template's definitions, for the styles the reviewer agreed to create. Without a template,
+ * or when the template cannot be read, the plans keep the missing styles as errors. Each
+ * plan lists the styles created for it in createdStyles, so reverting it can remove them.
+ * Returns { plans, createdStyles } with all the created style names.
+ */
+async function planWithTemplateStyles(wordContext, entries, paragraphCache = null) {
+    const plans = await planSuggestions(wordContext, entries, referenceLayout, paragraphCache);
+    const missing = getMissingStyles(plans).filter(styleId => confirmedStyleIds.includes(styleId));
+    const templateId = getStyleTemplateId();
+    if (missing.length === 0 || templateId === null) {
+        return { plans: plans, createdStyles: [] };
+    }
+
+    let templateStyles;
+    try {
+        templateStyles = await getTemplateStyles(templateId);
+    } catch (error) {
+        console.warn("Could not read the template styles to create missing styles:", error);
+        return { plans: plans, createdStyles: [] };
+    }
+
+    const creatable = missing.filter(styleId => findTemplateStyle(templateStyles.defaultStyles || [], styleId));
+    if (creatable.length === 0) {
+        return { plans: plans, createdStyles: [] };
+    }
+
+    let created;
+    try {
+        created = (await createTemplateStyles(wordContext, creatable, templateStyles)).created;
+    } catch (error) {
+        console.warn("Could not create the missing styles from the template:", error);
+        return { plans: plans, createdStyles: [] };
+    }
+
+    const createdStyles = [].concat(...created.values());
+    console.log("Created styles from the template:", createdStyles);
+
+    // The first plans were made before the styles existed
+    let replanned;
+    try {
+        replanned = await planSuggestions(wordContext, entries, referenceLayout, paragraphCache);
+    } catch (error) {
+        await removeUnusedStyles(wordContext, createdStyles);
+        throw error;
+    }
+    replanned.forEach((plan, i) => {
+        plan.createdStyles = [].concat(...plans[i].missingStyles.map(styleId => created.get(styleId) || []));
+    });
+    return { plans: replanned, createdStyles: createdStyles };
+}
+
+/**
+ * Plan suggestions with the template styles they need and apply them as tracked changes when
+ * tracking is on. Styles created for plans that did not apply, or for a task that failed before
+ * anything was applied, are deleted again, so they are only kept with an applied suggestion.
+ * A tracked apply records the period it ran in on each result as trackedPeriod, so reverting
+ * can reject its revisions. Returns { results, createdStyles } with the names of the created
+ * styles that were kept.
+ */
+async function applyWithTemplateStyles(wordContext, entries, paragraphCache = null, onProgress = null) {
+    const planned = await planWithTemplateStyles(wordContext, entries, paragraphCache);
+
+    const startedAt = new Date().toISOString();
+    let results;
+    try {
+        results = await withTrackedChanges(wordContext, () => executePlans(wordContext, planned.plans, onProgress));
+    } catch (error) {
+        await removeUnusedStyles(wordContext, planned.createdStyles);
+        throw error;
+    }
+    if (isTrackingChanges()) {
+        const trackedPeriod = { from: startedAt, to: new Date().toISOString() };
+        results.forEach(result => {
+            result.trackedPeriod = trackedPeriod;
+        });
+    }
 
-// Global state
-let suggestions = null;
-let currentSuggestionIndex = 0;
-let processedSuggestions = [];
+    const kept = [];
+    results.forEach(result => {
+        if (!result.applied) {
+            result.plan.createdStyles = [];
+        }
+        (result.plan.createdStyles || []).forEach(name => {
+            if (!kept.includes(name)) kept.push(name);
+        });
+    });
+    await removeUnusedStyles(wordContext, planned.createdStyles.filter(name => !kept.includes(name)));
+    return { results: results, createdStyles: kept };
+}
 
 /**
- * Initialize the add-in
+ * Delete styles created from the template that no applied suggestion uses. A failure only
+ * leaves them in the document, so it is logged rather than hiding the apply's own outcome.
  */
-function initializeAddin() {
-    showStatus("Welcome! Load your style suggestions JSON file to get started.", "info");
+async function removeUnusedStyles(wordContext, styleNames) {
+    if (styleNames.length === 0) {
+        return;
+    }
+    try {
+        await deleteCreatedStyles(wordContext, styleNames);
+        console.log("Removed styles created for suggestions that were not applied:", styleNames);
+    } catch (error) {
+        console.warn("Could not remove the styles created for suggestions that were not applied:", error);
+    }
 }
 
 /**
- * Load suggestions from JSON file
+ * Describe the styles created from the template for a status message
  */
-function loadSuggestions() {
-    const fileInput = document.getElementById("fileInput");
-    
-    // For demo purposes, we'll use the provided JSON structure
-    // In production, this would load from a file or API
-    loadDemoSuggestions();
-    
-    // Uncomment this for file loading functionality:
-    // fileInput.click();
-    // fileInput.onchange = handleFileLoad;
+function describeCreatedStyles(createdStyles) {
+    if (createdStyles.length === 0) {
+        return "";
+    }
+    return ` Created ${createdStyles.map(name => `"${name}"`).join(", ")} from the template.`;
 }
 
 /**
- * Load demo suggestions (using the actual JSON file)
+ * Agree to create the missing styles from the template's definitions. They are created by the
+ * next apply that needs them, and retried at once for the current suggestion when it failed
+ * on them, so reverting that apply removes them again.
  */
-async function loadDemoSuggestions() {
+async function importMissingStyles() {
+    const button = document.getElementById("importStylesButton");
+    const styleIds = missingStyleIds;
+    const templateId = getStyleTemplateId();
+
+    if (templateId === null) {
+        showStatus("Load templates and pick the one to create styles from", "error");
+        return;
+    }
+    if (!saveApiBaseUrl()) {
+        return;
+    }
+
+    button.disabled = true;
     try {
-        // Try to load from the actual JSON file
-        const response = await fetch('../updated_response_json.json');
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const templateStyles = await getTemplateStyles(templateId);
+        const undefinedStyles = styleIds.filter(styleId => !findTemplateStyle(templateStyles.defaultStyles || [], styleId));
+        if (undefinedStyles.length > 0) {
+            throw new Error(`The template has no definition of ${undefinedStyles.map(styleId => `"${styleId}"`).join(", ")}`);
         }
-        
-        const jsonData = await response.json();
-        processSuggestions(jsonData);
-        
-    } catch (error) {
-        console.warn('Could not load actual JSON file:', error);
-        showStatus("Could not load JSON file. Please check if updated_response_json.json is accessible.", "error");
-        
-        // Fallback to the demo data structure based on your JSON
-        const fallbackSuggestions = {
-            "suggestions": {
-                "document": [
-                    {
-                        "json_object": [
-                            {
-                                "id": 277,
-                                "templateId": 2,
-                                "name": "Heading 4_36",
-                                "fontFamily": "",
-                                "fontSize": 0,
-                                "isBold": true,
-                                "isItalic": true,
-                                "isUnderline": true,
-                                "isStrikethrough": false,
-                                "isAllCaps": false,
-                                "isSmallCaps": false,
-                                "hasShadow": false,
-                                "hasOutline": false,
-                                "highlighting": "",
-                                "characterSpacing": 0,
-                                "language": "",
-                                "color": "4F81BD",
-                                "alignment": "",
-                                "spacingBefore": 10,
-                                "spacingAfter": 0,
-                                "indentationLeft": 0,
-                                "indentationRight": 0,
-                                "firstLineIndent": 0,
-                                "widowOrphanControl": false,
-                                "keepWithNext": false,
-                                "keepTogether": false,
-                                "tabStops": [],
-                                "borderStyle": "",
-                                "borderColor": "",
-                                "borderWidth": 0,
-                                "borderDirections": "",
-                                "listNumberStyle": "",
-                                "listLevel": 0,
-                                "lineSpacing": 1,
-                                "styleType": "Heading",
-                                "basedOnStyle": "Heading4",
-                                "priority": 0,
-                                "styleSignature": "GQKPohtArgSFPsqmTIohyiSeIJG/s5HR",
-                                "formattingContext": {
-                                    "id": 277,
-                                    "styleName": "",
-                                    "elementType": "Paragraph",
-                                    "parentContext": "",
-                                    "structuralRole": "Heading",
-                                    "sampleText": "14. Table of Contents (Field)",
-                                    "contentControlTag": "",
-                                    "contentControlType": "",
-                                    "sectionIndex": 0,
-                                    "tableIndex": -1,
-                                    "rowIndex": -1,
-                                    "cellIndex": -1,
-                                    "paragraphIndex": 36,
-                                    "runIndex": -1,
-                                    "contextKey": "Section:0:Paragraph:36",
-                                    "contentControlProperties": {}
-                                },
-                                "directFormatPatterns": [],
-                                "createdBy": "System",
-                                "createdOn": "2025-07-18T12:16:23.840968Z",
-                                "modifiedBy": "",
-                                "modifiedOn": null,
-                                "version": 1
-                            }
-                        ],
-                        "ops": [
-                            {
-                                "prop": "paragraph.style",
-                                "to": "Heading2"
-                            }
-                        ],
-                        "message": "In the target document, Heading 4 is used where Heading 2 should be"
-                    },
-                    {
-                        "json_object": [
-                            {
-                                "id": 266,
-                                "templateId": 2,
-                                "name": "ListBullet_16",
-                                "styleType": "List",
-                                "basedOnStyle": "ListBullet",
-                                "formattingContext": {
-                                    "id": 266,
-                                    "sampleText": "First step",
-                                    "paragraphIndex": 16,
-                                    "contextKey": "Section:0:Paragraph:16"
-                                }
-                            },
-                            {
-                                "id": 267,
-                                "templateId": 2,
-                                "name": "ListBullet_17",
-                                "styleType": "List",
-                                "basedOnStyle": "ListBullet",
-                                "formattingContext": {
-                                    "id": 267,
-                                    "sampleText": "Second step",
-                                    "paragraphIndex": 17,
-                                    "contextKey": "Section:0:Paragraph:17"
-                                }
-                            },
-                            {
-                                "id": 268,
-                                "templateId": 2,
-                                "name": "ListBullet_18",
-                                "styleType": "List",
-                                "basedOnStyle": "ListBullet",
-                                "formattingContext": {
-                                    "id": 268,
-                                    "sampleText": "Third step",
-                                    "paragraphIndex": 18,
-                                    "contextKey": "Section:0:Paragraph:18"
-                                }
-                            }
-                        ],
-                        "ops": [
-                            {
-                                "prop": "paragraph.style",
-                                "to": "ListNumber"
-                            }
-                        ],
-                        "message": "template has a Bullet list and Numbered list under section 3, check that list logic did not break"
-                    },
-                    {
-                        "json_object": [
-                            {
-                                "id": 275,
-                                "templateId": 2,
-                                "name": "Paragraph_32_7840",
-                                "fontFamily": "Comic Sans MS",
-                                "styleType": "Paragraph",
-                                "formattingContext": {
-                                    "id": 275,
-                                    "sampleText": "Content before page break.",
-                                    "paragraphIndex": 32,
-                                    "contextKey": "Section:0:Paragraph:32"
-                                }
-                            }
-                        ],
-                        "ops": [
-                            {
-                                "prop": "font.name",
-                                "to": "Cambria"
-                            }
-                        ],
-                        "message": "template has the direct format font Cambria, which is changed to Comic Sans MS in the current document"
-                    }
-                ],
-                "styles": [
-                    {
-                        "styleId": "Heading2",
-                        "ops": [
-                            {
-                                "prop": "style.basedOn",
-                                "to": "Normal"
-                            },
-                            {
-                                "prop": "style.font.color",
-                                "to": "4F81BD"
-                            }
-                        ],
-                        "message": "In the template, Heading 2 is based on Normal, in the current document that was changed to Body Text. The font colour for Heading 2 was changed from 4F81BD to F79646"
-                    }
-                ]
+
+        styleIds.forEach(styleId => {
+            if (!confirmedStyleIds.includes(styleId)) {
+                confirmedStyleIds.push(styleId);
             }
-        };
-        
-        processSuggestions(fallbackSuggestions);
+        });
+        offerStyleImport([]);
+
+        const latest = getLatestEntry(currentQueue, currentSuggestionIndex);
+        const needsStyles = latest && (latest.partial || latest.failed) &&
+            (latest.missingStyles || []).some(styleId => styleIds.includes(styleId));
+        if (needsStyles && !document.getElementById("mainContent").classList.contains("hidden")) {
+            await retryFailedParts();
+        } else {
+            showStatus(`${styleIds.map(styleId => `"${styleId}"`).join(", ")} will be created from the template when a suggestion that needs ${styleIds.length === 1 ? "it" : "them"} is applied`, "info");
+        }
+    } catch (error) {
+        console.error("Error reading the template styles:", error);
+        showStatus("Error reading the template styles: " + error.message, "error");
     }
+
+    button.disabled = false;
 }
 
 /**
- * Handle file load from input
+ * Turn the overlay that highlights every pending suggestion on or off
  */
-function handleFileLoad(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+function toggleOverlay() {
+    if (overlayActive) {
+        exitOverlay();
+        return;
+    }
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const jsonData = JSON.parse(e.target.result);
-            processSuggestions(jsonData);
-        } catch (error) {
-            showStatus("Error reading JSON file: " + error.message, "error");
-        }
-    };
-    reader.readAsText(file);
+    overlayActive = true;
+    renderOverlayControls();
+    refreshOverlay();
 }
 
 /**
- * Process the loaded suggestions
+ * Turn the overlay off and put the document's own highlighting back
  */
-function processSuggestions(jsonData) {
-    if (!jsonData.suggestions || !jsonData.suggestions.document) {
-        showStatus("Invalid JSON format. Please ensure the file contains 'suggestions.document' array.", "error");
-        return;
+async function exitOverlay() {
+    overlayActive = false;
+    renderOverlayControls();
+
+    // The layout of the suggestions the marks were made for, in case others are loaded meanwhile
+    const layout = referenceLayout;
+    try {
+        const lost = await runWordTask((wordContext, paragraphCache) => clearOverlay(wordContext, paragraphCache, layout));
+        if (lost > 0) {
+            showStatus(`Highlighting removed, but ${lost} marked paragraphs could not be found to restore their original highlighting`, "error");
+        }
+    } catch (error) {
+        console.error("Error removing the highlighting:", error);
+        showStatus("Error removing the highlighting: " + error.message, "error");
     }
+}
 
-    suggestions = jsonData.suggestions.document;
-    currentSuggestionIndex = 0;
-    processedSuggestions = [];
+/**
+ * Mark the targets of the pending suggestions, when the overlay is on
+ */
+async function refreshOverlay() {
+    if (!overlayActive || !suggestions) return;
 
-    if (suggestions.length === 0) {
-        showStatus("No suggestions found in the file.", "info");
-        return;
+    try {
+        await runWordTask((wordContext, paragraphCache) =>
+            syncOverlay(wordContext, paragraphCache, referenceLayout, getOverlaySuggestions()));
+    } catch (error) {
+        console.error("Error highlighting pending suggestions:", error);
+        showStatus("Error highlighting pending suggestions: " + error.message, "error");
     }
+}
 
-    showStatus(`Loaded ${suggestions.length} suggestions successfully!`, "success");
-    
-    // Hide load section and show main content
-    document.getElementById("loadSection").classList.add("hidden");
-    document.getElementById("mainContent").classList.remove("hidden");
-    document.getElementById("progressContainer").classList.remove("hidden");
+/**
+ * Remove the marks from the targets of suggestions about to be applied, inside their Word task,
+ * so the snapshots and changes see the document's own highlighting
+ */
+async function clearOverlayMarks(wordContext, paragraphCache, entries) {
+    if (!overlayActive) return;
 
-    // Display first suggestion
-    displayCurrentSuggestion();
+    const cleared = entries.filter(entry => entry.queue === "document").map(entry => entry.suggestion);
+    await syncOverlay(wordContext, paragraphCache, referenceLayout, getOverlaySuggestions(cleared), cleared);
 }
 
 /**
- * Display the current suggestion
+ * Get the document suggestions the overlay marks: those not applied, skipped, rejected or commented, less any excluded
  */
-function displayCurrentSuggestion() {
-    if (currentSuggestionIndex >= suggestions.length) {
-        showCompletionState();
-        return;
-    }
+function getOverlaySuggestions(excluded = []) {
+    return suggestions.filter((suggestion, index) => {
+        const state = getSuggestionState("document", index);
+        return state !== "applied" && state !== "skipped" && state !== "rejected" && state !== "commented" && !excluded.includes(suggestion);
+    });
+}
 
-    const suggestion = suggestions[currentSuggestionIndex];
-    const mainObject = suggestion.json_object[0];
-    const context = mainObject.formattingContext;
+/**
+ * Update the overlay button and the legend of severity colours
+ */
+function renderOverlayControls() {
+    document.getElementById("overlayButton").textContent = overlayActive ? "Remove highlighting" : "Highlight pending";
 
-    // Update progress
-    updateProgress();
+    const legend = document.getElementById("overlayLegend");
+    legend.innerHTML = "";
+    SEVERITY_COLORS.slice().reverse().concat([DEFAULT_OVERLAY_COLOR]).forEach(entry => {
+        const item = document.createElement("span");
+        const swatch = document.createElement("span");
+        swatch.className = "overlay-swatch";
+        swatch.style.backgroundColor = entry.rgb;
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(entry === DEFAULT_OVERLAY_COLOR ? "No severity" : entry.severity));
+        legend.appendChild(item);
+    });
+    legend.classList.toggle("hidden", !overlayActive);
+}
 
-    // Update suggestion card
-    document.getElementById("suggestionTitle").textContent = 
-        `Suggestion ${currentSuggestionIndex + 1} of ${suggestions.length}`;
-    
-    document.getElementById("suggestionLocation").textContent = 
-        `Paragraph ${context.paragraphIndex + 1}${context.sectionIndex > 0 ? `, Section ${context.sectionIndex + 1}` : ''}`;
-    
-    document.getElementById("suggestionMessage").textContent = suggestion.message;
+/**
+ * Download the review report of the loaded suggestions in the selected format
+ */
+function exportReport() {
+    const format = document.getElementById("reportFormatSelect").value;
 
-    // Update previews
-    updatePreviews(suggestion, mainObject);
+    try {
+        const report = buildSessionReport({
+            verification: currentVerification,
+            queues: { document: suggestions, styles: styleSuggestions },
+            processedSuggestions: processedSuggestions,
+            getState: getSuggestionState
+        });
+        const fileName = downloadReport(report, format);
+        showStatus(`Review report saved as ${fileName}`, "success");
+    } catch (error) {
+        console.error("Error exporting the review report:", error);
+        showStatus("Error exporting the review report: " + error.message, "error");
+    }
+}
 
-    // Navigate to the paragraph in Word
-    navigateToTarget(context.paragraphIndex);
+/**
+ * Store the choice to apply suggestions as tracked changes
+ */
+function toggleTrackChanges() {
+    const enabled = document.getElementById("trackChangesCheckbox").checked;
+    setTrackChangesEnabled(enabled);
+    showStatus(enabled
+        ? "Suggestions will be applied as tracked changes the author can accept or reject"
+        : "Suggestions will be applied directly", "info");
 }
 
 /**
- * Update the progress bar and text
+ * Insert a review comment on the targets of the current suggestion instead of applying it
  */
-function updateProgress() {
-    const progress = ((currentSuggestionIndex) / suggestions.length) * 100;
-    document.getElementById("progressFill").style.width = `${progress}%`;
-    document.getElementById("progressText").textContent = 
-        `Processing suggestion ${currentSuggestionIndex + 1} of ${suggestions.length}`;
+async function commentCurrentSuggestion() {
+    if (currentQueue !== "document" || currentSuggestionIndex >= suggestions.length) return;
+
+    const entry = { queue: currentQueue, index: currentSuggestionIndex, suggestion: suggestions[currentSuggestionIndex] };
+    setButtonsEnabled(false);
+    showStatus("Adding review comment...", "info");
+
+    try {
+        const [result] = await commentEntries([entry]);
+        if (result.error) {
+            throw result.error;
+        }
+
+        showStatus(`Review comment added to ${result.commented} ${result.commented === 1 ? "target" : "targets"}`, "success");
+        moveToNextSuggestion();
+    } catch (error) {
+        console.error("Error adding review comment:", error);
+        showStatus("Error adding review comment: " + error.message, "error");
+        setButtonsEnabled(true);
+    }
 }
 
 /**
- * Update the preview boxes
+ * Insert a review comment for every pending document suggestion
  */
-function updatePreviews(suggestion, mainObject) {
-    const context = mainObject.formattingContext;
-    
-    // Current style preview
-    const currentPreview = document.getElementById("currentPreview");
-    let currentStyleText = `"${context.sampleText}"`;
-    
-    // Add current formatting info
-    if (mainObject.fontFamily) {
-        currentStyleText += `\n\nFont: ${mainObject.fontFamily}`;
+async function commentAllPending() {
+    const entries = suggestions
+        .map((suggestion, index) => ({ queue: "document", index: index, suggestion: suggestion }))
+        .filter(entry => getSuggestionState(entry.queue, entry.index) === "pending");
+    if (entries.length === 0) {
+        showStatus("No pending suggestions to comment on", "info");
+        return;
     }
-    if (mainObject.basedOnStyle) {
-        currentStyleText += `\nStyle: ${mainObject.basedOnStyle}`;
+
+    setButtonsEnabled(false);
+    showStatus(`Adding review comments for ${entries.length} suggestions...`, "info");
+
+    try {
+        const results = await commentEntries(entries);
+        const failedCount = results.filter(result => result.error).length;
+        showStatus(`Review comments added for ${results.length - failedCount} suggestions${failedCount > 0 ? `, ${failedCount} failed` : ""}`,
+            failedCount > 0 ? "error" : "success");
+    } catch (error) {
+        console.error("Error adding review comments:", error);
+        showStatus("Error adding review comments: " + error.message, "error");
     }
-    if (mainObject.color) {
-        currentStyleText += `\nColor: #${mainObject.color}`;
+
+    setButtonsEnabled(true);
+    if (getSuggestionState(currentQueue, currentSuggestionIndex) === "pending") {
+        refreshCurrentSuggestion();
+    } else {
+        moveToNextSuggestion();
     }
-    
-    currentPreview.textContent = currentStyleText;
+}
 
-    // Suggested style preview
-    const suggestedPreview = document.getElementById("suggestedPreview");
-    let suggestedStyleText = `"${context.sampleText}"`;
-    
-    // Add suggested changes
-    suggestion.ops.forEach(op => {
-        if (op.prop === "paragraph.style") {
-            suggestedStyleText += `\n\nNew Style: ${op.to}`;
-        } else if (op.prop === "font.name") {
-            suggestedStyleText += `\n\nNew Font: ${op.to}`;
-        } else if (op.prop === "style.font.color") {
-            suggestedStyleText += `\n\nNew Color: ${op.to}`;
-        }
+/**
+ * Plan suggestions and comment on their targets, recording the commented ones as decided
+ */
+async function commentEntries(entries) {
+    const results = await runWordTask(async (wordContext, paragraphCache) => {
+        const plans = await planSuggestions(wordContext, entries, referenceLayout, paragraphCache);
+        return insertReviewComments(wordContext, plans);
     });
-    
-    suggestedPreview.textContent = suggestedStyleText;
+
+    results.filter(result => !result.error).forEach(result => {
+        processedSuggestions.push({
+            index: result.plan.index,
+            queue: result.plan.queue,
+            suggestion: result.plan.suggestion,
+            applied: false,
+            commented: true,
+            timestamp: new Date()
+        });
+    });
+    await loadReviewComments();
+    return results;
 }
 
 /**
- * Navigate to the target paragraph in Word
+ * Read this add-in's comments from the document: list the open ones, and record the loaded
+ * suggestions they were made for as commented
  */
-async function navigateToTarget(paragraphIndex) {
+async function loadReviewComments() {
+    if (!isCommentingSupported()) return;
+
     try {
-        await Word.run(async (context) => {
-            const paragraphs = context.document.body.paragraphs;
-            paragraphs.load("length");
-            await context.sync();
-            
-            if (paragraphIndex < paragraphs.items.length) {
-                const targetParagraph = paragraphs.items[paragraphIndex];
-                targetParagraph.select();
-                await context.sync();
-                
-                showStatus("Navigated to target paragraph", "info");
+        const found = await runWordTask(wordContext => findReviewComments(wordContext));
+        reviewComments = [];
+        found.filter(comment => !comment.resolved).forEach(comment => {
+            const existing = reviewComments.find(candidate => candidate.key === comment.key);
+            if (existing) {
+                existing.count++;
             } else {
-                showStatus(`Warning: Paragraph ${paragraphIndex + 1} not found in document`, "error");
+                reviewComments.push({ key: comment.key, message: comment.message, ops: comment.ops, count: 1 });
             }
         });
     } catch (error) {
-        console.error("Error navigating to paragraph:", error);
-        showStatus("Error navigating to paragraph: " + error.message, "error");
+        console.error("Error reading review comments:", error);
+        return;
+    }
+
+    let recognised = 0;
+    (suggestions || []).forEach((suggestion, index) => {
+        const key = getSuggestionKey(suggestion);
+        if (getSuggestionState("document", index) === "pending" && reviewComments.some(comment => comment.key === key)) {
+            processedSuggestions.push({ index: index, queue: "document", suggestion: suggestion, applied: false, commented: true, timestamp: new Date() });
+            recognised++;
+        }
+    });
+    if (recognised > 0) {
+        console.log(`Recognised review comments for ${recognised} suggestions`);
+        refreshCurrentSuggestion();
     }
+
+    renderReviewComments();
 }
 
 /**
- * Apply the current suggestion
+ * List the open review comments in the document, each with Apply and Resolve actions
  */
-async function applyCurrentSuggestion() {
-    if (currentSuggestionIndex >= suggestions.length) return;
+function renderReviewComments() {
+    const list = document.getElementById("reviewCommentsList");
+    list.innerHTML = "";
 
-    const suggestion = suggestions[currentSuggestionIndex];
-    const mainObject = suggestion.json_object[0];
-    const context = mainObject.formattingContext;
+    reviewComments.forEach(comment => {
+        const item = document.createElement("div");
+        item.className = "history-item";
 
-    // Disable buttons during processing
-    setButtonsEnabled(false);
-    showStatus("Applying suggestion...", "info");
+        const message = document.createElement("div");
+        message.className = "history-message";
+        message.textContent = `${comment.message}${comment.count > 1 ? ` (${comment.count} comments)` : ""}`;
+        message.title = comment.ops.map(op => `${op.prop} = ${JSON.stringify(op.to)}`).join("\n");
+        item.appendChild(message);
+
+        const applyButton = document.createElement("button");
+        applyButton.className = "revert-button";
+        applyButton.textContent = "Apply";
+        applyButton.onclick = () => applyFromComment(comment.key);
+        item.appendChild(applyButton);
+
+        const resolveButton = document.createElement("button");
+        resolveButton.className = "revert-button";
+        resolveButton.textContent = "Resolve";
+        resolveButton.onclick = () => resolveComment(comment.key);
+        item.appendChild(resolveButton);
+
+        list.appendChild(item);
+    });
+
+    document.getElementById("reviewCommentsSection").classList.toggle("hidden", reviewComments.length === 0);
+}
+
+/**
+ * Apply the suggestion a review comment was made for and resolve its comments. A loaded
+ * suggestion is applied like any other, with snapshots to revert it; otherwise the ops in
+ * the comment are applied to the commented text.
+ */
+async function applyFromComment(key) {
+    const index = (suggestions || []).findIndex(suggestion => getSuggestionKey(suggestion) === key);
+    showStatus("Applying suggestion from review comment...", "info");
 
     try {
-        await Word.run(async (wordContext) => {
-            const paragraphs = wordContext.document.body.paragraphs;
-            paragraphs.load("items");
-            await wordContext.sync();
-            
-            console.log(`Document has ${paragraphs.items.length} paragraphs`);
-            
-            // Apply changes to all affected paragraphs
-            for (const obj of suggestion.json_object) {
-                const paragraphIndex = obj.formattingContext.paragraphIndex;
-                
-                if (paragraphIndex < 0 || paragraphIndex >= paragraphs.items.length) {
-                    console.warn(`Paragraph index ${paragraphIndex} is out of range (document has ${paragraphs.items.length} paragraphs)`);
-                    continue;
-                }
-                
-                const targetParagraph = paragraphs.items[paragraphIndex];
-                console.log(`Applying changes to paragraph ${paragraphIndex}: "${obj.formattingContext.sampleText}"`);
-                
-                // Apply each operation individually with error handling
-                for (const op of suggestion.ops) {
-                    try {
-                        await applyOperation(targetParagraph, op);
-                        await wordContext.sync(); // Sync after each operation
-                        console.log(`Successfully applied: ${op.prop} = ${op.to}`);
-                    } catch (opError) {
-                        console.error(`Failed to apply operation ${op.prop} = ${op.to}:`, opError);
-                        showStatus(`Warning: Could not apply ${op.prop} change. Continuing with next operation.`, "error");
-                        // Continue with other operations instead of failing completely
-                    }
-                }
+        if (index === -1) {
+            const result = await runWordTask(wordContext => withTrackedChanges(wordContext, () => applyReviewComments(wordContext, key)));
+            if (!result.applied) {
+                throw result.failedOps.length > 0 ? result.failedOps[0].error : new Error("The comment lists no changes");
             }
-            
-            await wordContext.sync();
-            
-            // Mark as processed
-            processedSuggestions.push({
-                index: currentSuggestionIndex,
-                suggestion: suggestion,
-                applied: true,
-                timestamp: new Date()
+            showStatus(result.failedOps.length > 0
+                ? `Applied from the review comment, but ${result.failedOps.length} changes failed: ${result.failedOps[0].error.message}`
+                : "Applied from the review comment; it cannot be reverted from the history, as the suggestion is not loaded",
+            result.failedOps.length > 0 ? "error" : "success");
+        } else {
+            const entry = { queue: "document", index: index, suggestion: suggestions[index] };
+            const result = await runWordTask(async (wordContext, paragraphCache) => {
+                await clearOverlayMarks(wordContext, paragraphCache, [entry]);
+                const [planResult] = (await applyWithTemplateStyles(wordContext, [entry], paragraphCache)).results;
+                if (planResult.applied) {
+                    await resolveReviewComments(wordContext, key);
+                }
+                return planResult;
             });
-            
-            showStatus("Suggestion applied successfully!", "success");
-            
-            // Move to next suggestion
-            setTimeout(() => {
-                moveToNextSuggestion();
-            }, 1000);
-        });
+
+            recordPlanResult(result, "Applied from review comment");
+            offerStyleImport(result.plan.missingStyles);
+            if (!result.applied) {
+                throw result.error;
+            }
+            const warnings = getPlanWarnings(result);
+            showStatus(warnings.length > 0 ? `Suggestion applied with warnings: ${warnings[0]}` : "Suggestion applied and its review comments resolved",
+                warnings.length > 0 ? "error" : "success");
+        }
     } catch (error) {
-        console.error("Error applying suggestion:", error);
-        showStatus("Error applying suggestion: " + error.message, "error");
-        setButtonsEnabled(true);
+        console.error("Error applying from review comment:", error);
+        showStatus("Error applying from review comment: " + error.message, "error");
     }
-}
-
 
+    await loadReviewComments();
+    renderHistory();
+    refreshCurrentSuggestion();
+}
 
 /**
- * Apply a specific operation to a paragraph
+ * Resolve the review comments for a suggestion without applying it
  */
-async function applyOperation(paragraph, operation) {
+async function resolveComment(key) {
     try {
-        console.log(`Applying operation: ${operation.prop} = ${operation.to}`);
-        
-        switch (operation.prop) {
-            case "paragraph.style":
-                if (operation.to && operation.to.trim() !== "") {
-                    // Map common style names to ensure compatibility
-                    const styleMap = {
-                        "Heading2": "Heading 2",
-                        "Heading1": "Heading 1", 
-                        "Heading3": "Heading 3",
-                        "Heading4": "Heading 4",
-                        "ListNumber": "List Number",
-                        "ListBullet": "List Bullet",
-                        "ListParagraph": "List Paragraph",
-                        "Normal": "Normal",
-                        "BodyText": "Body Text"
-                    };
-                    
-                    const styleName = styleMap[operation.to] || operation.to;
-                    console.log(`Setting paragraph style to: "${styleName}"`);
-                    paragraph.style = styleName;
-                } else {
-                    console.warn("Invalid style name:", operation.to);
-                }
-                break;
-                
-            case "font.name":
-                if (operation.to && operation.to.trim() !== "") {
-                    paragraph.font.name = operation.to;
-                } else {
-                    console.warn("Invalid font name:", operation.to);
-                }
-                break;
-                
-            case "style.font.color":
-                if (operation.to && operation.to.trim() !== "") {
-                    // Ensure color format is correct (add # if missing)
-                    let color = operation.to;
-                    if (!color.startsWith("#") && color.length === 6) {
-                        color = "#" + color;
-                    }
-                    paragraph.font.color = color;
-                } else {
-                    console.warn("Invalid color value:", operation.to);
-                }
-                break;
-                
-            case "paragraph.alignment":
-                if (operation.to && operation.to.trim() !== "") {
-                    // Map alignment values to Word constants
-                    const alignmentMap = {
-                        "Left": Word.Alignment.left,
-                        "Center": Word.Alignment.centered, 
-                        "Right": Word.Alignment.right,
-                        "Justify": Word.Alignment.justified
-                    };
-                    paragraph.alignment = alignmentMap[operation.to] || operation.to;
-                } else {
-                    console.warn("Invalid alignment value:", operation.to);
-                }
-                break;
-                
-            default:
-                console.warn("Unknown operation:", operation.prop);
-        }
+        await runWordTask(wordContext => resolveReviewComments(wordContext, key));
     } catch (error) {
-        console.error(`Error applying operation ${operation.prop}:`, error);
-        throw error;
+        console.error("Error resolving review comments:", error);
+        showStatus("Error resolving review comments: " + error.message, "error");
     }
+    await loadReviewComments();
 }
 
 /**
- * Skip the current suggestion
+ * Skip the current suggestion, leaving it open to come back to
  */
 function skipCurrentSuggestion() {
-    const suggestion = suggestions[currentSuggestionIndex];
+    decideWithoutApplying(RESOLUTIONS.OPEN, { skipped: true }, "Suggestion skipped");
+}
+
+/**
+ * Reject the current suggestion, so re-verification leaves its mismatch out
+ */
+function rejectCurrentSuggestion() {
+    decideWithoutApplying(RESOLUTIONS.REJECTED, { rejected: true }, "Suggestion rejected");
+}
+
+/**
+ * Record a decision not to apply the current suggestion and move to the next one
+ */
+function decideWithoutApplying(resolution, flags, message) {
+    const suggestion = getActiveQueue()[currentSuggestionIndex];
+
+    if (recordDecision(suggestion, resolution, getDecisionReason())) {
+        reportDecisions();
+    }
     
     // Mark as processed but not applied
-    processedSuggestions.push({
+    processedSuggestions.push(Object.assign({
         index: currentSuggestionIndex,
+        queue: currentQueue,
         suggestion: suggestion,
         applied: false,
-        skipped: true,
+        reason: getDecisionReason(),
         timestamp: new Date()
-    });
+    }, flags));
     
-    showStatus("Suggestion skipped", "info");
+    showStatus(message, "info");
     moveToNextSuggestion();
 }
 
 /**
- * Move to the next suggestion
+ * Read the reason entered for the decision on the current suggestion
+ */
+function getDecisionReason() {
+    return document.getElementById("decisionReasonInput").value;
+}
+
+/**
+ * Send queued review decisions to the API in the background. Decisions that could not be
+ * sent are retried with the next one.
+ */
+function reportDecisions() {
+    sendDecisions().catch(error => {
+        console.error("Error sending review decisions:", error);
+        const waiting = getPendingDecisionCount();
+        showStatus(`Could not send review decisions to the API${waiting > 0 ? ` (${waiting} will be retried)` : ""}: ${error.message}`, "error");
+    });
+}
+
+/**
+ * Move to the next suggestion still to be decided: the next one in a skipped review, otherwise
+ * the next pending one. Earlier pending ones are picked up once the end is reached.
  */
 function moveToNextSuggestion() {
-    currentSuggestionIndex++;
-    setButtonsEnabled(true);
-    displayCurrentSuggestion();
+    renderHistory();
+    refreshOverlay();
+
+    if (skippedReviewQueue) {
+        const nextSkipped = skippedReviewQueue.shift();
+        if (nextSkipped) {
+            goToSuggestion(nextSkipped.queue, nextSkipped.index);
+            return;
+        }
+        skippedReviewQueue = null;
+    }
+
+    const positions = getAllPositions();
+    const currentPosition = getCurrentPosition();
+    const ordered = positions.slice(currentPosition + 1).concat(positions.slice(0, currentPosition));
+    const next = ordered.find(position => getSuggestionState(position.queue, position.index) === "pending");
+
+    if (!next) {
+        showCompletionState();
+        return;
+    }
+
+    goToSuggestion(next.queue, next.index);
 }
 
 /**
@@ -582,10 +2427,21 @@ function showCompletionState() {
     document.getElementById("progressContainer").classList.add("hidden");
     document.getElementById("emptyState").classList.remove("hidden");
     
-    const appliedCount = processedSuggestions.filter(p => p.applied).length;
-    const skippedCount = processedSuggestions.filter(p => p.skipped).length;
+    const states = getAllPositions().map(position => getSuggestionState(position.queue, position.index));
+    const appliedCount = states.filter(state => state === "applied").length;
+    const skippedCount = states.filter(state => state === "skipped").length;
+    const rejectedCount = states.filter(state => state === "rejected").length;
+    const revertedCount = states.filter(state => state === "reverted").length;
+    const failedCount = states.filter(state => state === "failed").length;
+    const commentedCount = states.filter(state => state === "commented").length;
+    const partialCount = states.filter(state => state === "partial").length;
+    const partialRevertCount = states.filter(state => state === "partial-revert").length;
     
-    showStatus(`Completed! Applied: ${appliedCount}, Skipped: ${skippedCount}`, "success");
+    document.getElementById("completionReviewSkippedButton").classList.toggle("hidden", skippedCount === 0);
+    persistSession();
+    renderSuggestionList();
+    
+    showStatus(`Completed! Applied: ${appliedCount}, Skipped: ${skippedCount}${rejectedCount > 0 ? `, Rejected: ${rejectedCount}` : ""}${partialCount > 0 ? `, Partially applied: ${partialCount}` : ""}${commentedCount > 0 ? `, Commented: ${commentedCount}` : ""}${revertedCount > 0 ? `, Reverted: ${revertedCount}` : ""}${partialRevertCount > 0 ? `, Partially reverted: ${partialRevertCount}` : ""}${failedCount > 0 ? `, Failed: ${failedCount}` : ""}`, "success");
 }
 
 /**
@@ -594,6 +2450,9 @@ function showCompletionState() {
 function setButtonsEnabled(enabled) {
     document.getElementById("applyButton").disabled = !enabled;
     document.getElementById("skipButton").disabled = !enabled;
+    document.getElementById("rejectButton").disabled = !enabled;
+    document.getElementById("commentButton").disabled = !enabled;
+    document.getElementById("retryButton").disabled = !enabled;
     
     if (!enabled) {
         document.getElementById("applyButton").innerHTML = 
@@ -623,16 +2482,32 @@ function showStatus(message, type = "info") {
 // Utility functions for debugging
 window.debugAddin = {
     getSuggestions: () => suggestions,
+    getStyleSuggestions: () => styleSuggestions,
+    getCurrentQueue: () => currentQueue,
     getCurrentIndex: () => currentSuggestionIndex,
     getProcessedSuggestions: () => processedSuggestions,
+    getCurrentVerification: () => currentVerification,
     resetAddin: () => {
+        if (overlayActive) {
+            exitOverlay();
+        }
         suggestions = null;
+        styleSuggestions = [];
+        currentQueue = "document";
         currentSuggestionIndex = 0;
         processedSuggestions = [];
+        skippedReviewQueue = null;
+        currentVerification = null;
         document.getElementById("loadSection").classList.remove("hidden");
         document.getElementById("mainContent").classList.add("hidden");
         document.getElementById("progressContainer").classList.add("hidden");
         document.getElementById("emptyState").classList.add("hidden");
+        document.getElementById("navigatorSection").classList.add("hidden");
+        document.getElementById("bulkSection").classList.add("hidden");
+        document.getElementById("reportSection").classList.add("hidden");
+        renderHistory();
+        renderSavedSessions();
+        renderRejectedSuggestions([]);
         showStatus("Add-in reset. Load suggestions to start again.", "info");
     }
 }; 
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Tracked Changes
+ * Applies suggestions with Word's change tracking on, so each formatting change is a revision
+ * the author can accept or reject, keeps the add-in's own marks out of the revisions, and puts
+ * the document's own tracking mode back afterwards. A tracked apply is reverted by rejecting
+ * its revisions.
+ */
+
+/* global Office, Word, localStorage */
+
+const TRACK_CHANGES_SETTING = "styleSuggestions.trackChanges";
+
+/**
+ * Whether Word supports reading and setting the change tracking mode (WordApi 1.4)
+ */
+export function isTrackingSupported() {
+    return Office.context.requirements.isSetSupported("WordApi", "1.4");
+}
+
+/**
+ * Whether Word can list and reject the tracked changes in a range (WordApi 1.6)
+ */
+export function isRejectSupported() {
+    return Office.context.requirements.isSetSupported("WordApi", "1.6");
+}
+
+/**
+ * Whether suggestions are to be applied as tracked changes
+ */
+export function isTrackChangesEnabled() {
+    try {
+        return localStorage.getItem(TRACK_CHANGES_SETTING) === "true";
+    } catch (error) {
+        console.warn("Could not read the tracked changes setting:", error);
+        return false;
+    }
+}
+
+/**
+ * Store whether suggestions are applied as tracked changes, for later sessions
+ */
+export function setTrackChangesEnabled(enabled) {
+    try {
+        localStorage.setItem(TRACK_CHANGES_SETTING, enabled ? "true" : "false");
+    } catch (error) {
+        console.warn("Could not store the tracked changes setting:", error);
+    }
+}
+
+/**
+ * Whether changes made now are tracked: the setting is on and Word supports it
+ */
+export function isTrackingChanges() {
+    return isTrackChangesEnabled() && isTrackingSupported();
+}
+
+/**
+ * Whether the document records changes as revisions right now, through the setting or its own
+ * tracking mode
+ */
+export async function isDocumentTracking(wordContext) {
+    if (!isTrackingSupported()) {
+        return false;
+    }
+    const document = wordContext.document;
+    document.load("changeTrackingMode");
+    await wordContext.sync();
+    return document.changeTrackingMode !== Word.ChangeTrackingMode.off;
+}
+
+/**
+ * Reject the tracked changes in ranges that were made while a tracked apply ran, so reverting
+ * it adds no revisions of its own. period is { from, to } as ISO strings; Word dates revisions
+ * to the second, so it is widened to whole seconds. Returns how many changes were rejected.
+ */
+export async function rejectTrackedChanges(wordContext, ranges, period) {
+    const from = Math.floor(new Date(period.from).getTime() / 1000) * 1000;
+    const to = Math.ceil(new Date(period.to).getTime() / 1000) * 1000;
+
+    const collections = ranges.map(range => {
+        const changes = range.getTrackedChanges();
+        changes.load("items/date");
+        return changes;
+    });
+    await wordContext.sync();
+
+    let rejected = 0;
+    collections.forEach(changes => changes.items.forEach(change => {
+        const date = new Date(change.date).getTime();
+        if (date >= from && date <= to) {
+            change.reject();
+            rejected++;
+        }
+    }));
+    await wordContext.sync();
+    return rejected;
+}
+
+/**
+ * Run a task that changes the document with change tracking on, when the setting asks for it.
+ * The document's tracking mode is restored afterwards, also when the task fails. A document
+ * already tracking changes (everyone's or only the current user's) is left as it is.
+ */
+export async function withTrackedChanges(wordContext, task) {
+    if (!isTrackingChanges()) {
+        return task();
+    }
+    return runInTrackingMode(wordContext, Word.ChangeTrackingMode.trackAll,
+        previousMode => previousMode === Word.ChangeTrackingMode.off, task);
+}
+
+/**
+ * Run a task whose changes are the add-in's own, such as the overlay's highlighting, with
+ * change tracking off, so they are not recorded as revisions. The document's tracking mode
+ * is restored afterwards, also when the task fails.
+ */
+export async function withoutTrackedChanges(wordContext, task) {
+    if (!isTrackingSupported()) {
+        return task();
+    }
+    return runInTrackingMode(wordContext, Word.ChangeTrackingMode.off,
+        previousMode => previousMode !== Word.ChangeTrackingMode.off, task);
+}
+
+/**
+ * Run a task in a change tracking mode, when shouldSwitch accepts the document's current mode,
+ * and put the current mode back afterwards
+ */
+async function runInTrackingMode(wordContext, mode, shouldSwitch, task) {
+    const document = wordContext.document;
+    document.load("changeTrackingMode");
+    await wordContext.sync();
+
+    const previousMode = document.changeTrackingMode;
+    if (!shouldSwitch(previousMode)) {
+        return task();
+    }
+
+    document.changeTrackingMode = mode;
+    await wordContext.sync();
+
+    let result;
+    try {
+        result = await task();
+    } catch (error) {
+        // The task's error is the one to report
+        await restoreTrackingMode(wordContext, previousMode).catch(restoreError => {
+            console.error("Could not restore the change tracking mode:", restoreError);
+        });
+        throw error;
+    }
+
+    await restoreTrackingMode(wordContext, previousMode);
+    return result;
+}
+
+/**
+ * Set the document's change tracking mode back to what it was
+ */
+async function restoreTrackingMode(wordContext, mode) {
+    wordContext.document.changeTrackingMode = mode;
+    await wordContext.sync();
+}
@@ -0,0 +1,172 @@
+/**
+ * Verification API Client
+ * Talks to the DocStyleVerify backend's /api/Verification and /api/Templates endpoints
+ */
+
+/* global fetch, FormData, localStorage */
+
+// The backend's HTTPS launch profile; the task pane is served over HTTPS, so plain HTTP would be blocked
+export const DEFAULT_API_BASE_URL = "https://localhost:7235";
+
+const API_BASE_URL_SETTING = "styleSuggestions.apiBaseUrl";
+const REVIEWER_NAME_SETTING = "styleSuggestions.reviewerName";
+
+// Sent as CreatedBy when no reviewer name has been entered
+const DEFAULT_REVIEWER_NAME = "Word add-in";
+
+/**
+ * Get the configured API base URL, without a trailing slash
+ */
+export function getApiBaseUrl() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(API_BASE_URL_SETTING);
+    } catch (error) {
+        console.warn("Could not read the API base URL setting:", error);
+    }
+    return normalizeBaseUrl(stored || DEFAULT_API_BASE_URL);
+}
+
+/**
+ * Store the API base URL for later sessions
+ */
+export function setApiBaseUrl(baseUrl) {
+    const normalized = normalizeBaseUrl(baseUrl);
+    if (!/^https?:\/\/\S+$/i.test(normalized)) {
+        throw new Error(`"${baseUrl}" is not an http(s) URL`);
+    }
+
+    try {
+        localStorage.setItem(API_BASE_URL_SETTING, normalized);
+    } catch (error) {
+        console.warn("Could not store the API base URL setting:", error);
+    }
+    return normalized;
+}
+
+/**
+ * Get the reviewer name sent to the API as the author of verifications
+ */
+export function getReviewerName() {
+    try {
+        return localStorage.getItem(REVIEWER_NAME_SETTING) || DEFAULT_REVIEWER_NAME;
+    } catch (error) {
+        console.warn("Could not read the reviewer name setting:", error);
+        return DEFAULT_REVIEWER_NAME;
+    }
+}
+
+/**
+ * Store the reviewer name for later sessions. The API limits it to 100 characters.
+ */
+export function setReviewerName(name) {
+    const trimmed = (name || "").trim().substring(0, 100) || DEFAULT_REVIEWER_NAME;
+    try {
+        localStorage.setItem(REVIEWER_NAME_SETTING, trimmed);
+    } catch (error) {
+        console.warn("Could not store the reviewer name setting:", error);
+    }
+    return trimmed;
+}
+
+/**
+ * List the templates documents can be verified against
+ */
+export function fetchTemplates(options = {}) {
+    const query = [`page=${options.page || 1}`, `pageSize=${options.pageSize || 100}`];
+    if (options.status) {
+        query.push(`status=${encodeURIComponent(options.status)}`);
+    }
+
+    return requestJson(`/api/Templates?${query.join("&")}`);
+}
+
+/**
+ * Get the styles extracted from a template: its text styles, the style definitions of
+ * styles.xml (defaultStyles, with their raw XML) and its numbering definitions
+ */
+export function fetchTemplateStyles(templateId) {
+    return requestJson(`/api/Templates/${encodeURIComponent(templateId)}/styles`);
+}
+
+/**
+ * Verify a .docx file against a template. Returns the VerificationResultDto with its mismatches.
+ */
+export function verifyDocument(request) {
+    const form = new FormData();
+    form.append("TemplateId", String(request.templateId));
+    form.append("Document", request.file, request.fileName);
+    form.append("CreatedBy", request.createdBy || getReviewerName());
+    form.append("StrictMode", request.strictMode === false ? "false" : "true");
+    (request.ignoreStyleTypes || []).forEach(styleType => form.append("IgnoreStyleTypes", styleType));
+
+    return requestJson("/api/Verification/verify", { method: "POST", body: form });
+}
+
+/**
+ * List recent verification results, newest first
+ */
+export function fetchVerificationResults(options = {}) {
+    const query = [`page=${options.page || 1}`, `pageSize=${options.pageSize || 20}`];
+    if (options.templateId) {
+        query.push(`templateId=${encodeURIComponent(options.templateId)}`);
+    }
+    if (options.status) {
+        query.push(`status=${encodeURIComponent(options.status)}`);
+    }
+
+    return requestJson(`/api/Verification/results?${query.join("&")}`);
+}
+
+/**
+ * Get a single verification result with its mismatches
+ */
+export function fetchVerificationResult(id) {
+    return requestJson(`/api/Verification/results/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Record review decisions ({ mismatchId, resolution, reason, resolvedBy, resolvedOn }) for
+ * mismatches of a verification result. Returns the updated mismatches.
+ */
+export function updateMismatchResolutions(verificationResultId, resolutions) {
+    return requestJson(`/api/Verification/results/${encodeURIComponent(verificationResultId)}/resolutions`, {
+        method: "PUT",
+        headers: { "Accept": "application/json", "Content-Type": "application/json" },
+        body: JSON.stringify(resolutions)
+    });
+}
+
+/**
+ * Send a request to the API and parse the JSON response. Errors carry the HTTP status
+ * and the message the backend returned.
+ */
+export async function requestJson(path, options = {}) {
+    const url = getApiBaseUrl() + path;
+    let response;
+
+    try {
+        response = await fetch(url, Object.assign({ headers: { "Accept": "application/json" } }, options));
+    } catch (error) {
+        throw new Error(`Could not reach the verification API at ${getApiBaseUrl()}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        const detail = await response.text().catch(() => "");
+        const error = new Error(`API error ${response.status}${detail ? `: ${detail}` : ""}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+    return response.json();
+}
+
+/**
+ * Trim whitespace and trailing slashes from a base URL
+ */
+function normalizeBaseUrl(baseUrl) {
+    return (baseUrl || "").trim().replace(/\/+$/, "");
+}
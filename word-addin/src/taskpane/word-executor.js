@@ -0,0 +1,133 @@
+/**
+ * Word Executor
+ * Runs the add-in's Word work one task at a time on a single long-lived request context,
+ * keeping the loaded paragraph collections between tasks until the document changes
+ */
+
+/* global Office, Word */
+
+// Loaded containers by container key, shared by every task until invalidated
+const paragraphCache = new Map();
+
+// Error code of steps not run again after their batch failed
+export const NOT_REPLAYED_CODE = "NotReplayed";
+
+let requestContext = null;
+let changeEventsRegistered = false;
+let queueTail = Promise.resolve();
+
+/**
+ * Queue a task that gets the shared request context and paragraph cache. Tasks run one
+ * after another, so a navigation never interleaves with an apply or revert.
+ */
+export function runWordTask(task) {
+    const result = queueTail.then(() => runTask(task));
+    // A failed task must not block the tasks queued after it
+    queueTail = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Drop every cached paragraph collection, so the next task reads the document again
+ */
+export function invalidateParagraphCache() {
+    paragraphCache.clear();
+}
+
+/**
+ * Queue every step, then send them all to Word in one sync. Only when that fails is each
+ * step replayed with a sync of its own, to find the steps Word rejects. Word has run the
+ * commands queued before the one that failed, so only steps that set absolute values are
+ * replayed; steps marked { replayable: false } (rewrites, new lists) could apply twice and
+ * are reported as failed with NOT_REPLAYED_CODE instead. Returns { step, error } per step.
+ */
+export async function syncSteps(wordContext, steps) {
+    let batchError;
+    try {
+        for (const step of steps) {
+            await step.queue();
+        }
+        await wordContext.sync();
+        return steps.map(step => ({ step: step, error: null }));
+    } catch (error) {
+        batchError = error;
+    }
+
+    if (steps.length === 1) {
+        return [{ step: steps[0], error: batchError }];
+    }
+    console.warn("Batched sync failed, replaying its steps one by one:", batchError);
+
+    const outcomes = [];
+    for (const step of steps) {
+        if (step.replayable === false) {
+            outcomes.push({ step: step, error: createNotReplayedError(batchError) });
+            continue;
+        }
+
+        try {
+            await step.queue();
+            await wordContext.sync();
+            outcomes.push({ step: step, error: null });
+        } catch (error) {
+            outcomes.push({ step: step, error: error });
+        }
+    }
+    return outcomes;
+}
+
+/**
+ * Describe a step that was not run again after its batch failed. It may or may not have
+ * gone through before the failure.
+ */
+function createNotReplayedError(batchError) {
+    const error = new Error(`Not run again after the batch it was in failed (${batchError.message}), as repeating it could apply it twice; check the document`);
+    error.code = NOT_REPLAYED_CODE;
+    return error;
+}
+
+/**
+ * Run one task, creating the request context on first use
+ */
+async function runTask(task) {
+    if (!requestContext) {
+        requestContext = new Word.RequestContext();
+        await registerChangeEvents(requestContext);
+    }
+
+    // Without change events there is no telling whether the document changed since the last task
+    if (!changeEventsRegistered) {
+        invalidateParagraphCache();
+    }
+
+    try {
+        return await task(requestContext, paragraphCache);
+    } catch (error) {
+        // The cached collections may be what went stale
+        invalidateParagraphCache();
+        throw error;
+    }
+}
+
+/**
+ * Invalidate the cache whenever paragraphs are added, changed or deleted, where Word reports it
+ */
+async function registerChangeEvents(wordContext) {
+    if (!Office.context.requirements.isSetSupported("WordApi", "1.6")) {
+        console.log("Paragraph change events are not supported; the paragraph cache is kept for one task only");
+        return;
+    }
+
+    try {
+        const onChange = async () => {
+            invalidateParagraphCache();
+        };
+        wordContext.document.onParagraphAdded.add(onChange);
+        wordContext.document.onParagraphChanged.add(onChange);
+        wordContext.document.onParagraphDeleted.add(onChange);
+        await wordContext.sync();
+        changeEventsRegistered = true;
+    } catch (error) {
+        console.warn("Could not register paragraph change events:", error);
+    }
+}